@@ -0,0 +1,63 @@
+/**
+ * Globe Map Quiz - Flag Asset Pipeline
+ * Copies the flag SVGs for every country in the metadata table from the
+ * flag-icons package into assets/flags/, stripped of comments and whitespace.
+ *
+ * Usage: npm install && npm run flags
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, copyFileSync, existsSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { listCountryMeta } from '../src/data/countryMeta.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const sourceDir = join(root, 'node_modules', 'flag-icons', 'flags', '4x3');
+const targetDir = join(root, 'assets', 'flags');
+
+if (!existsSync(sourceDir)) {
+    console.error('flag-icons is not installed; run `npm install` first');
+    process.exit(1);
+}
+
+mkdirSync(targetDir, { recursive: true });
+
+const minify = svg => svg
+    .replace(/<\?xml[^>]*>/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/>\s+</g, '><')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+
+// Some browsers can't draw an SVG without an intrinsic size onto a canvas
+const addSize = svg => svg.replace(/<svg([^>]*)>/, (tag, attrs) => {
+    if (/\swidth=/.test(attrs)) return tag;
+    const viewBox = attrs.match(/viewBox="([^"]+)"/);
+    if (!viewBox) return tag;
+    const [, , width, height] = viewBox[1].split(/[\s,]+/);
+    return `<svg width="${width}" height="${height}"${attrs}>`;
+});
+
+const missing = [];
+let written = 0;
+
+listCountryMeta().forEach(({ iso2 }) => {
+    if (!iso2) return;
+
+    const file = `${iso2.toLowerCase()}.svg`;
+    const source = join(sourceDir, file);
+    if (!existsSync(source)) {
+        missing.push(iso2);
+        return;
+    }
+
+    writeFileSync(join(targetDir, file), addSize(minify(readFileSync(source, 'utf8'))));
+    written++;
+});
+
+copyFileSync(join(root, 'node_modules', 'flag-icons', 'LICENSE'), join(targetDir, 'LICENSE'));
+
+console.log(`Wrote ${written} flags to assets/flags`);
+if (missing.length > 0) {
+    console.warn(`No flag available for: ${missing.join(', ')}`);
+}
@@ -11,7 +11,9 @@ export const CONFIG = {
         displacementScale: 0.03, // Height map intensity
         rotateSpeed: 0.15,
         minDistance: 1.15,
-        maxDistance: 4.5
+        maxDistance: 4.5,
+        fitPadding: 1.25,        // Viewport margin when framing a country
+        flightArc: 0.8           // Extra camera distance at the middle of a half-globe flight
     },
 
     // Texture URLs - will be replaced with local assets
@@ -26,27 +28,169 @@ export const CONFIG = {
         clouds: null, // Local asset: assets/textures/earth_clouds_8k.png
     },
 
+    // Country lookup rasters used for picking
+    lookup: {
+        baseSize: 2048,          // 110m raster, drawn at load
+        detailWidth: 16384,      // 50m raster, drawn tile by tile on demand
+        detailHeight: 8192,
+        detailTileSize: 1024,
+        detailMaxTiles: 16,      // Tiles kept in memory (~4MB each)
+        prefetchDistance: 2.2,   // Start loading 50m data below this camera distance
+        detailDistance: 1.6,     // Switch lookup and borders to 50m below this distance
+        hysteresis: 0.1          // Extra distance before switching back to 110m
+    },
+
+    // Country highlight cap
+    highlight: {
+        altitude: 1.002,         // Radius multiplier, just above the borders
+        opacity: 0.45,
+        maxEdgeDegrees: 2,       // Subdivide so large countries follow the curvature
+        showFlag: true,          // Drape the country's flag over the highlight
+        flagOpacity: 0.9,
+        flagAspect: 4 / 3        // Width / height of the bundled flag SVGs
+    },
+
+    // Found/missed country colouring
+    overlay: {
+        altitude: 1.0005,        // Between the globe surface and the borders
+        foundColor: '#34d399',
+        missedColor: '#f87171',
+        opacity: 0.55
+    },
+
+    // Pins and lines for point answers
+    markers: {
+        altitude: 1.001,         // Radius multiplier for line ends
+        pinHeight: 0.03,
+        pinRadius: 0.006,
+        pinColor: '#34d399',     // True locations
+        guessColor: '#fbbf24',   // Where the player clicked
+        missColor: '#f87171',    // Answers the player didn't find
+        lineColor: '#ffffff',
+        lineLift: 0.05,          // Extra height at the middle of a half-globe line
+        lineStepDegrees: 1,
+        labelHeight: 0.035,
+        labelLift: 0.04          // Height of labels above the surface
+    },
+
     // GeoJSON data
     data: {
         countriesUrl: 'https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json',
         countriesDetailUrl: 'https://cdn.jsdelivr.net/npm/world-atlas@2/countries-50m.json'
     },
 
+    // Flag rendering
+    flags: {
+        path: 'assets/flags/',   // Bundled SVGs named by ISO alpha-2 code (npm run flags)
+        sizes: {                 // Canvas widths in CSS px for ui.flagSize
+            small: 64,
+            medium: 112,
+            large: 176
+        },
+        textureWidth: 512,       // Flag textures used on the globe
+        signatureWidth: 8        // Thumbnail width compared to find similar flags
+    },
+
     // Quiz modes
     modes: {
-        LOCATE: { id: 1, name: 'Locate', given: 'name', find: 'country' },
-        IDENTIFY: { id: 2, name: 'Identify', given: 'highlight', find: 'name' },
-        FLAG_MATCH: { id: 3, name: 'Flag Match', given: 'flag', find: 'name' },
-        REVERSE_LOCATE: { id: 4, name: 'Reverse Locate', given: 'flag', find: 'country' },
-        MASTER: { id: 5, name: 'Master', given: 'name', find: 'type' },
-        MARATHON: { id: 6, name: 'Marathon', given: 'name', find: 'country' }
+        LOCATE: { id: 1, key: 'locate', name: 'Locate', given: 'name', find: 'country' },
+        IDENTIFY: { id: 2, key: 'identify', name: 'Identify', given: 'highlight', find: 'name' },
+        FLAG_MATCH: { id: 3, key: 'flags', name: 'Flag Match', given: 'flag', find: 'name' },
+        REVERSE_LOCATE: { id: 4, key: 'reverse', name: 'Reverse Locate', given: 'flag', find: 'country' },
+        MASTER: { id: 5, key: 'master', name: 'Master', given: 'highlight', find: 'type' },
+        MARATHON: { id: 6, key: 'marathon', name: 'Marathon', given: 'name', find: 'country', allCountries: true },
+        CUSTOM: { id: 7, key: 'custom', name: 'Custom', given: 'name', find: 'country' }, // Pair chosen in the quiz builder
+        CAPITALS: { id: 8, key: 'capitals', name: 'Capitals', given: 'name', find: 'point', subject: 'capital' },
+        CAPITAL_NAMES: { id: 9, key: 'capital-names', name: 'Capital Names', given: 'highlight', find: 'name', subject: 'capital' },
+        CAPITAL_MASTER: { id: 10, key: 'capital-master', name: 'Capital Master', given: 'highlight', find: 'type', subject: 'capital' },
+        NEIGHBOURS: { id: 11, key: 'neighbours', name: 'Neighbours', given: 'highlight', find: 'neighbours' },
+        SHARED_BORDER: { id: 12, key: 'shared-border', name: 'Shared Border', given: 'pair', find: 'country' },
+        PRACTICE: { id: 13, key: 'practice', name: 'Practice', given: 'name', find: 'country', practice: true },
+        DAILY: { id: 14, key: 'daily', name: 'Daily', daily: true } // Plays one of daily.modes, picked by date
+    },
+
+    // Globe picking
+    interaction: {
+        pickTolerance: 8,        // Screen pixels around the cursor that still hit a country
+        maxSearchRadius: 48,     // Cap on the lookup-texture search radius (texels)
+        nearestRadiusKm: 150     // Ocean clicks snap to a country this close (0 = off)
+    },
+
+    // Quiz engine settings
+    quiz: {
+        optionCount: 4,          // Multiple choice answers per question
+        revealDelay: 1500,       // ms to show the answer before the next question
+        countdownWarning: 5,     // Seconds left when the timer starts beeping
+        hardDistractorPool: 6,   // Hard options after the neighbours: this many nearest / most similar
+        neighbourMistakes: 3     // Wrong clicks that end a Neighbours question
+    },
+
+    // Hints, in the order they're given, with the share of points each costs
+    hints: {
+        penalties: {
+            continent: 0.1,
+            subregion: 0.2,
+            letters: 0.2,        // Only when the answer is a name
+            neighbours: 0.25
+        }
+    },
+
+    // Typed answers
+    answers: {
+        charsPerTypo: 5,         // One typo allowed per this many letters of a name
+        maxTypos: 3,
+        closeMargin: 2           // Further typos reported as "close" instead of wrong
+    },
+
+    // Scoring
+    scoring: {
+        correct: 100,
+        streakBonus: 10,         // Extra points per consecutive correct answer
+        maxStreakBonus: 100,
+        timeBonus: 5,            // Points per second left on the clock
+        distance: {              // Partial credit for point answers
+            perfectKm: 25,       // Full points within this distance
+            zeroKm: 500          // No points (a wrong answer) beyond this
+        },
+        nearMiss: {              // Optional points for wrong Locate clicks
+            maxShare: 0.5,       // Share of a correct answer's base points right at the border
+            halfLifeKm: 400      // Distance over which those points halve
+        }
     },
 
     // Difficulty presets
     difficulty: {
-        easy: { lives: 5, timeLimit: 0, questionCount: 10 },
-        medium: { lives: 3, timeLimit: 30, questionCount: 20 },
-        hard: { lives: 1, timeLimit: 15, questionCount: 50 }
+        // target: country difficulty score (0..1) questions cluster around
+        easy: { lives: 5, timeLimit: 0, questionCount: 10, skips: 5, target: 0.15 },
+        medium: { lives: 3, timeLimit: 30, questionCount: 20, skips: 3, target: 0.45 },
+        hard: { lives: 1, timeLimit: 15, questionCount: 50, skips: 1, target: 0.8 }
+    },
+
+    // Country difficulty model and size tiers
+    tiers: {
+        weights: { area: 0.35, population: 0.35, obscurity: 0.3 },
+        spread: 0.25,            // How tightly questions stick to a difficulty's target
+        largestCount: 50,        // Size of the "largest countries" tier
+        microstateMaxArea: 1000  // km²
+    },
+
+    // Daily challenge: the same questions for everyone on a given date
+    daily: {
+        questionCount: 10,
+        difficulty: 'medium',
+        // Modes whose questions don't depend on the detailed data having loaded
+        modes: ['locate', 'identify', 'flags', 'reverse', 'capitals', 'capital-names'],
+        calendarDays: 28
+    },
+
+    // Spaced repetition (SM-2) behind Practice mode
+    memory: {
+        initialEase: 2.5,
+        minEase: 1.3,
+        intervals: [1, 6],       // Days until the first and second reviews
+        weakEase: 2.0,           // Countries below this ease count as weak
+        fastAnswerMs: 5000,      // Correct answers this quick grade as perfect
+        masteredDays: 21         // Review interval that counts as mastered
     },
 
     // Theme definitions
@@ -5,6 +5,7 @@
 
 import { CONFIG } from './config.js';
 import { state } from './state.js';
+import { tweens, Easing } from './tween.js';
 
 class SceneManager {
     constructor() {
@@ -15,6 +16,7 @@ class SceneManager {
         this.container = null;
         this.animationId = null;
         this.onRenderCallbacks = [];
+        this.flight = null;
     }
 
     /**
@@ -62,6 +64,9 @@ class SceneManager {
         this.controls.autoRotate = state.get('globe.autoRotate');
         this.controls.autoRotateSpeed = CONFIG.globe.rotateSpeed;
 
+        // Grabbing the globe takes over from any camera flight
+        this.controls.addEventListener('start', () => this.cancelFlight());
+
         // Setup lighting
         this._setupLighting();
 
@@ -70,7 +75,7 @@ class SceneManager {
 
         // Subscribe to state changes
         state.subscribe('globe.autoRotate', (value) => {
-            this.controls.autoRotate = value;
+            this.controls.autoRotate = value && !this.flight;
         });
 
         state.subscribe('theme', (theme) => {
@@ -146,6 +151,9 @@ class SceneManager {
         const animate = (time) => {
             this.animationId = requestAnimationFrame(animate);
 
+            // Advance camera flights and other tweens
+            tweens.update(time);
+
             // Update controls
             this.controls.update();
 
@@ -170,53 +178,138 @@ class SceneManager {
     }
 
     /**
-     * Fly camera to a specific lat/lon
+     * Fly camera to a specific lat/lon along the great circle, arcing
+     * outwards on long flights. Starting a new flight or grabbing the
+     * controls cancels the current one.
+     * @param {number} distance - Camera distance from the globe centre (defaults to current)
+     * @returns {Promise<boolean>} True on arrival, false if cancelled
      */
-    flyTo(lat, lon, duration = 1000) {
+    flyTo(lat, lon, duration = 1000, distance = this.camera.position.length()) {
+        this.cancelFlight();
+
         const phi = (90 - lat) * (Math.PI / 180);
         const theta = (lon + 180) * (Math.PI / 180);
 
-        const distance = this.camera.position.length();
-        const targetX = distance * Math.sin(phi) * Math.cos(theta);
-        const targetY = distance * Math.cos(phi);
-        const targetZ = distance * Math.sin(phi) * Math.sin(theta);
-
-        const startPos = this.camera.position.clone();
-        const targetPos = new THREE.Vector3(targetX, targetY, targetZ);
-        const startTime = performance.now();
+        // Same convention as GlobeRenderer.latLonToPoint
+        const targetDir = new THREE.Vector3(
+            -Math.sin(phi) * Math.cos(theta),
+            Math.cos(phi),
+            Math.sin(phi) * Math.sin(theta)
+        );
 
-        const animateFly = () => {
-            const elapsed = performance.now() - startTime;
-            const t = Math.min(elapsed / duration, 1);
+        const startDir = this.camera.position.clone().normalize();
+        const startDistance = this.camera.position.length();
+        const rotation = new THREE.Quaternion().setFromUnitVectors(startDir, targetDir);
+        const partial = new THREE.Quaternion();
+        const identity = new THREE.Quaternion();
+
+        // Pull back in proportion to how far round the globe we travel
+        const { maxDistance, flightArc } = CONFIG.globe;
+        const arc = Math.min(
+            flightArc * startDir.angleTo(targetDir) / Math.PI,
+            Math.max(0, maxDistance - Math.max(startDistance, distance))
+        );
 
-            // Ease out cubic
-            const eased = 1 - Math.pow(1 - t, 3);
+        // Disable auto-rotate during flight
+        this.controls.autoRotate = false;
 
-            this.camera.position.lerpVectors(startPos, targetPos, eased);
-            this.camera.lookAt(0, 0, 0);
+        const flight = tweens.start({
+            duration,
+            easing: Easing.easeInOutCubic,
+            onUpdate: (t) => {
+                partial.slerpQuaternions(identity, rotation, t);
+                const altitude = startDistance + (distance - startDistance) * t + arc * Math.sin(Math.PI * t);
+                this.camera.position.copy(startDir).applyQuaternion(partial).multiplyScalar(altitude);
+                this.camera.lookAt(0, 0, 0);
+            }
+        });
+        this.flight = flight;
 
-            if (t < 1) {
-                requestAnimationFrame(animateFly);
+        return flight.promise.then(arrived => {
+            if (this.flight === flight) {
+                this.flight = null;
+                this.controls.autoRotate = state.get('globe.autoRotate');
             }
+            return arrived;
+        });
+    }
+
+    /**
+     * Stop the current camera flight where it is
+     */
+    cancelFlight() {
+        if (this.flight) {
+            const flight = this.flight;
+            this.flight = null;
+            flight.cancel();
+            this.controls.autoRotate = state.get('globe.autoRotate');
+        }
+    }
+
+    /**
+     * Fly to frame a lat/lon bounding box, zooming so it fits the viewport
+     * @param {Object} bounds - { minLat, maxLat, minLon, maxLon } (maxLon may exceed 180)
+     * @param {Object} options
+     * @param {Object} options.center - { lat, lon } to centre on instead of the box centre
+     * @param {number} options.radius - Angular radius in degrees to fit instead of the box corners
+     * @param {number} options.duration - Flight duration in ms
+     * @returns {Promise<boolean>} True on arrival, false if cancelled
+     */
+    flyToBounds(bounds, options = {}) {
+        const center = options.center || {
+            lat: (bounds.minLat + bounds.maxLat) / 2,
+            lon: (bounds.minLon + bounds.maxLon) / 2
         };
+        const radius = options.radius ?? this._boundsRadius(bounds, center);
 
-        // Disable auto-rotate during flight
-        const wasAutoRotating = this.controls.autoRotate;
-        this.controls.autoRotate = false;
+        return this.flyTo(center.lat, center.lon, options.duration, this.fitDistance(radius));
+    }
 
-        animateFly();
+    /**
+     * Camera distance that fits a spherical cap of the given angular radius
+     * (degrees) inside the viewport, clamped to the zoom limits
+     */
+    fitDistance(radius) {
+        const { radius: globeRadius, minDistance, maxDistance, fitPadding } = CONFIG.globe;
+        const alpha = Math.min(radius, 90) * (Math.PI / 180);
+
+        // Fit the narrower of the two field-of-view axes
+        const halfFovY = (this.camera.fov / 2) * (Math.PI / 180);
+        const halfFovX = Math.atan(Math.tan(halfFovY) * this.camera.aspect);
+        const halfFov = Math.min(halfFovX, halfFovY) / fitPadding;
 
-        // Re-enable after flight
-        setTimeout(() => {
-            this.controls.autoRotate = wasAutoRotating;
-        }, duration + 100);
+        // Distance at which the cap's edge sits at the edge of the view
+        const distance = globeRadius * (Math.cos(alpha) + Math.sin(alpha) / Math.tan(halfFov));
+
+        return Math.max(minDistance, Math.min(maxDistance, distance));
+    }
+
+    /**
+     * Largest angular distance (degrees) from a centre to a box's corners and edge midpoints
+     */
+    _boundsRadius(bounds, center) {
+        const toRad = Math.PI / 180;
+        const midLat = (bounds.minLat + bounds.maxLat) / 2;
+        const midLon = (bounds.minLon + bounds.maxLon) / 2;
+        const points = [
+            [bounds.minLat, bounds.minLon], [bounds.minLat, bounds.maxLon],
+            [bounds.maxLat, bounds.minLon], [bounds.maxLat, bounds.maxLon],
+            [bounds.minLat, midLon], [bounds.maxLat, midLon],
+            [midLat, bounds.minLon], [midLat, bounds.maxLon]
+        ];
+
+        return Math.max(...points.map(([lat, lon]) => {
+            const cos = Math.sin(center.lat * toRad) * Math.sin(lat * toRad) +
+                Math.cos(center.lat * toRad) * Math.cos(lat * toRad) * Math.cos((lon - center.lon) * toRad);
+            return Math.acos(Math.max(-1, Math.min(1, cos))) / toRad;
+        }));
     }
 
     /**
      * Reset camera to default position
      */
     resetView() {
-        this.flyTo(20, 0, 800);
+        return this.flyTo(20, 0, 800);
     }
 
     /**
@@ -237,6 +330,7 @@ class SceneManager {
      */
     dispose() {
         this.stop();
+        tweens.cancelAll();
         this.renderer.dispose();
         this.controls.dispose();
         if (this.container && this.renderer.domElement) {
@@ -37,9 +37,13 @@ class StateManager {
                 data: [],
                 byId: new Map(),
                 byName: new Map(),
+                byIso: new Map(),
+                neighbors: new Map(),
                 selected: null,
                 highlighted: null,
-                found: new Set()
+                found: new Set(),
+                missed: new Set(),
+                resolution: '110m'
             },
 
             // Quiz state
@@ -58,20 +62,28 @@ class StateManager {
                 correct: 0,
                 wrong: 0,
                 lives: 3,
+                skipsLeft: 3,
+                seed: null,
 
                 // Timer
                 timeLimit: 0,
                 timeRemaining: 0,
                 timerInterval: null,
+                paused: false,
 
                 // MCQ
                 mcqOptions: [],
 
+                // Distance scoring for Locate clicks (persisted)
+                distanceScoring: false,
+                averageErrorKm: null,
+
                 // Custom quiz settings
                 custom: {
                     given: 'name',
                     find: 'country',
                     regions: new Set(),
+                    tier: 'all',
                     questionCount: 20,
                     timeLimit: 30,
                     lives: 3
@@ -94,7 +106,9 @@ class StateManager {
                 totalWrong: 0,
                 bestStreak: 0,
                 countriesLearned: new Set(),
-                timeSpent: 0
+                memory: {},             // Country ID -> spaced repetition record
+                daily: {},              // YYYY-MM-DD -> first daily challenge result
+                timeSpent: 0            // ms spent in quizzes
             }
         };
 
@@ -173,6 +187,9 @@ class StateManager {
                 },
                 ui: {
                     flagSize: this._state.ui.flagSize
+                },
+                quiz: {
+                    distanceScoring: this._state.quiz.distanceScoring
                 }
             };
             localStorage.setItem('globeQuizState', JSON.stringify(persistedState));
@@ -203,6 +220,9 @@ class StateManager {
                     }
                 }
                 if (parsed.ui?.flagSize) this._state.ui.flagSize = parsed.ui.flagSize;
+                if (typeof parsed.quiz?.distanceScoring === 'boolean') {
+                    this._state.quiz.distanceScoring = parsed.quiz.distanceScoring;
+                }
             }
         } catch (e) {
             console.warn('Failed to load state:', e);
@@ -223,7 +243,9 @@ class StateManager {
             wrong: 0,
             lives: this._state.quiz.custom.lives,
             timeRemaining: 0,
-            mcqOptions: []
+            paused: false,
+            mcqOptions: [],
+            averageErrorKm: null
         };
 
         if (this._state.quiz.timerInterval) {
@@ -232,7 +254,10 @@ class StateManager {
         }
 
         this._state.countries.found.clear();
+        this._state.countries.missed.clear();
         this._state.countries.highlighted = null;
+        this._notify('countries.found', this._state.countries.found, null);
+        this._notify('countries.missed', this._state.countries.missed, null);
         this._notify('quiz', this._state.quiz, null);
     }
 
@@ -0,0 +1,99 @@
+/**
+ * Globe Map Quiz - Tweens
+ * Frame-driven, cancellable animations that settle into promises
+ */
+
+export const Easing = {
+    linear: t => t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
+};
+
+class Tween {
+    /**
+     * @param {Object} options
+     * @param {number} options.duration - Length in ms
+     * @param {Function} options.onUpdate - Called with the eased progress 0..1
+     * @param {Function} options.easing - Maps linear to eased progress
+     */
+    constructor({ duration, onUpdate, easing = Easing.easeInOutCubic }) {
+        this.duration = Math.max(1, duration);
+        this.onUpdate = onUpdate;
+        this.easing = easing;
+        this.startTime = null;
+        this.done = false;
+
+        // Resolves true when the tween completes, false when cancelled
+        this.promise = new Promise(resolve => {
+            this._resolve = resolve;
+        });
+    }
+
+    /**
+     * Advance to a frame time
+     * @returns {boolean} True once finished
+     */
+    update(time) {
+        if (this.done) return true;
+        if (this.startTime === null) this.startTime = time;
+
+        const t = Math.min((time - this.startTime) / this.duration, 1);
+        this.onUpdate(this.easing(t));
+
+        if (t >= 1) this._finish(true);
+        return this.done;
+    }
+
+    /**
+     * Stop where it is
+     */
+    cancel() {
+        this._finish(false);
+    }
+
+    _finish(completed) {
+        if (this.done) return;
+        this.done = true;
+        this._resolve(completed);
+    }
+}
+
+class TweenManager {
+    constructor() {
+        this.tweens = new Set();
+    }
+
+    /**
+     * Start a tween; it runs on subsequent update() calls
+     * @returns {Tween}
+     */
+    start(options) {
+        const tween = new Tween(options);
+        this.tweens.add(tween);
+        tween.promise.then(() => this.tweens.delete(tween));
+        return tween;
+    }
+
+    /**
+     * Advance all running tweens (called once per frame)
+     */
+    update(time) {
+        this.tweens.forEach(tween => {
+            if (tween.update(time)) {
+                this.tweens.delete(tween);
+            }
+        });
+    }
+
+    /**
+     * Cancel every running tween
+     */
+    cancelAll() {
+        this.tweens.forEach(tween => tween.cancel());
+        this.tweens.clear();
+    }
+}
+
+// Singleton instance
+export const tweens = new TweenManager();
+export default tweens;
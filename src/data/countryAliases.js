@@ -0,0 +1,88 @@
+/**
+ * Globe Map Quiz - Country Aliases
+ * Alternative names accepted for typed answers, keyed by world-atlas name
+ * (countries) or by the capital names in countryMeta (capitals)
+ */
+
+// Abbreviations used in world-atlas names, expanded before matching
+export const ABBREVIATIONS = {
+    'is': 'islands',
+    'i': 'island',
+    'st': 'saint',
+    'rep': 'republic',
+    'dem': 'democratic',
+    'eq': 'equatorial',
+    'fr': 'french',
+    'br': 'british',
+    'ter': 'territory'
+};
+
+export const ALIASES = {
+    'United States of America': ['United States', 'USA', 'US', 'America'],
+    'United Kingdom': ['UK', 'Great Britain', 'Britain'],
+    'United Arab Emirates': ['UAE', 'Emirates'],
+    'Dem. Rep. Congo': ['DRC', 'DR Congo', 'Democratic Republic of the Congo', 'Congo-Kinshasa', 'Zaire'],
+    'Congo': ['Republic of the Congo', 'Congo Republic', 'Congo-Brazzaville'],
+    'Central African Rep.': ['CAR'],
+    'Czechia': ['Czech Republic'],
+    "Côte d'Ivoire": ['Ivory Coast'],
+    'eSwatini': ['Swaziland'],
+    'Myanmar': ['Burma'],
+    'Macedonia': ['North Macedonia'],
+    'Timor-Leste': ['East Timor'],
+    'Cabo Verde': ['Cape Verde'],
+    'Turkey': ['Türkiye'],
+    'Bosnia and Herz.': ['Bosnia and Herzegovina', 'Bosnia'],
+    'Eq. Guinea': ['Equatorial Guinea'],
+    'S. Sudan': ['South Sudan'],
+    'W. Sahara': ['Western Sahara'],
+    'N. Cyprus': ['Northern Cyprus', 'North Cyprus'],
+    'North Korea': ['DPRK', "Democratic People's Republic of Korea"],
+    'South Korea': ['Korea', 'Republic of Korea'],
+    'Laos': ['Lao PDR'],
+    'Vietnam': ['Viet Nam'],
+    'Brunei': ['Brunei Darussalam'],
+    'Russia': ['Russian Federation'],
+    'Netherlands': ['Holland'],
+    'Vatican': ['Vatican City', 'Holy See'],
+    'Micronesia': ['Federated States of Micronesia'],
+    'Palestine': ['Palestinian Territories', 'State of Palestine'],
+    'Macao': ['Macau'],
+    'Gambia': ['The Gambia'],
+    'Bahamas': ['The Bahamas'],
+    'Faeroe Is.': ['Faroe Islands', 'Faroes'],
+    'Falkland Is.': ['Malvinas'],
+    'N. Mariana Is.': ['Northern Mariana Islands'],
+    'U.S. Virgin Is.': ['US Virgin Islands', 'United States Virgin Islands'],
+    'St. Vin. and Gren.': ['Saint Vincent and the Grenadines', 'Saint Vincent'],
+    'Antigua and Barb.': ['Antigua and Barbuda', 'Antigua'],
+    'St-Martin': ['Saint Martin'],
+    'St-Barthélemy': ['Saint Barthélemy', 'Saint Barts'],
+    'Wallis and Futuna Is.': ['Wallis and Futuna'],
+    'Fr. S. Antarctic Lands': ['French Southern and Antarctic Lands', 'French Southern Territories'],
+    'S. Geo. and the Is.': ['South Georgia and the South Sandwich Islands', 'South Georgia'],
+    'Heard I. and McDonald Is.': ['Heard Island and McDonald Islands'],
+    'Åland': ['Åland Islands']
+};
+
+export const CAPITAL_ALIASES = {
+    'Washington, D.C.': ['Washington', 'Washington DC'],
+    'Kyiv': ['Kiev'],
+    'Beijing': ['Peking'],
+    'New Delhi': ['Delhi'],
+    'Bern': ['Berne'],
+    'Astana': ['Nur-Sultan'],
+    'Naypyidaw': ['Nay Pyi Taw', 'Naypyitaw'],
+    'Sri Jayawardenepura Kotte': ['Kotte'],
+    'Ulaanbaatar': ['Ulan Bator'],
+    'Chișinău': ['Kishinev'],
+    'Hagåtña': ['Agana'],
+    'Ngerulmud': ['Melekeok'],
+    'Mexico City': ['Ciudad de Mexico'],
+    'Guatemala City': ['Guatemala'],
+    'Panama City': ['Panama'],
+    'Kuwait City': ['Kuwait'],
+    'Vatican City': ['Vatican']
+};
+
+export default ALIASES;
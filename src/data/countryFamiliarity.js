@@ -0,0 +1,27 @@
+/**
+ * Globe Map Quiz - Country Familiarity
+ * Hand-picked obscurity hints for the difficulty model, keyed by ISO alpha-3
+ */
+
+// Countries most players can place regardless of their size
+export const WELL_KNOWN = new Set([
+    'USA', 'CAN', 'MEX', 'CUB', 'BRA', 'ARG', 'CHL', 'PER', 'COL',
+    'GBR', 'IRL', 'FRA', 'DEU', 'ITA', 'ESP', 'PRT', 'NLD', 'BEL', 'CHE', 'AUT',
+    'ISL', 'NOR', 'SWE', 'FIN', 'DNK', 'POL', 'GRC', 'TUR', 'RUS', 'UKR',
+    'CHN', 'JPN', 'KOR', 'IND', 'PAK', 'IDN', 'THA', 'VNM', 'PHL',
+    'SAU', 'IRN', 'IRQ', 'ISR', 'EGY', 'MAR', 'NGA', 'KEN', 'ZAF',
+    'AUS', 'NZL'
+]);
+
+// Dependent territories and other areas that aren't sovereign countries
+export const NON_SOVEREIGN = new Set([
+    'ASM', 'GUM', 'MNP', 'VIR', 'PRI',
+    'AIA', 'BMU', 'VGB', 'CYM', 'FLK', 'MSR', 'PCN', 'SHN', 'TCA', 'SGS', 'IOT',
+    'JEY', 'GGY', 'IMN',
+    'ABW', 'CUW', 'SXM',
+    'GRL', 'FRO', 'ALA',
+    'PYF', 'NCL', 'WLF', 'SPM', 'MAF', 'BLM', 'ATF',
+    'HMD', 'NFK', 'COK', 'NIU',
+    'HKG', 'MAC',
+    'ATA', 'ESH'
+]);
@@ -0,0 +1,297 @@
+/**
+ * Globe Map Quiz - Country Metadata
+ * Offline facts for every world-atlas country, keyed by ISO 3166-1 numeric ID
+ */
+
+// Populations are mid-2020s estimates, areas are total km² (land + water)
+const COLUMNS = [
+    'id', 'iso2', 'iso3', 'capital', 'capitalLat', 'capitalLon',
+    'continent', 'subregion', 'population', 'area', 'currency', 'languages'
+];
+
+const ROWS = [
+    [4, 'AF', 'AFG', 'Kabul', 34.53, 69.17, 'Asia', 'Southern Asia', 41128771, 652230, 'AFN', ['Pashto', 'Dari']],
+    [8, 'AL', 'ALB', 'Tirana', 41.33, 19.82, 'Europe', 'Southern Europe', 2777689, 28748, 'ALL', ['Albanian']],
+    [10, 'AQ', 'ATA', null, null, null, 'Antarctica', 'Antarctica', 1000, 14000000, null, []],
+    [12, 'DZ', 'DZA', 'Algiers', 36.75, 3.06, 'Africa', 'Northern Africa', 44903225, 2381741, 'DZD', ['Arabic', 'Berber']],
+    [16, 'AS', 'ASM', 'Pago Pago', -14.28, -170.70, 'Oceania', 'Polynesia', 44273, 199, 'USD', ['English', 'Samoan']],
+    [20, 'AD', 'AND', 'Andorra la Vella', 42.51, 1.52, 'Europe', 'Southern Europe', 79824, 468, 'EUR', ['Catalan']],
+    [24, 'AO', 'AGO', 'Luanda', -8.84, 13.23, 'Africa', 'Middle Africa', 35588987, 1246700, 'AOA', ['Portuguese']],
+    [28, 'AG', 'ATG', "Saint John's", 17.12, -61.85, 'North America', 'Caribbean', 93763, 442, 'XCD', ['English']],
+    [31, 'AZ', 'AZE', 'Baku', 40.41, 49.87, 'Asia', 'Western Asia', 10358074, 86600, 'AZN', ['Azerbaijani']],
+    [32, 'AR', 'ARG', 'Buenos Aires', -34.60, -58.38, 'South America', 'South America', 46234830, 2780400, 'ARS', ['Spanish']],
+    [36, 'AU', 'AUS', 'Canberra', -35.28, 149.13, 'Oceania', 'Australia and New Zealand', 26177413, 7692024, 'AUD', ['English']],
+    [40, 'AT', 'AUT', 'Vienna', 48.21, 16.37, 'Europe', 'Western Europe', 8939617, 83871, 'EUR', ['German']],
+    [44, 'BS', 'BHS', 'Nassau', 25.05, -77.35, 'North America', 'Caribbean', 409984, 13943, 'BSD', ['English']],
+    [48, 'BH', 'BHR', 'Manama', 26.23, 50.59, 'Asia', 'Western Asia', 1472233, 778, 'BHD', ['Arabic']],
+    [50, 'BD', 'BGD', 'Dhaka', 23.81, 90.41, 'Asia', 'Southern Asia', 171186372, 147570, 'BDT', ['Bengali']],
+    [51, 'AM', 'ARM', 'Yerevan', 40.18, 44.51, 'Asia', 'Western Asia', 2780469, 29743, 'AMD', ['Armenian']],
+    [52, 'BB', 'BRB', 'Bridgetown', 13.10, -59.62, 'North America', 'Caribbean', 281635, 430, 'BBD', ['English']],
+    [56, 'BE', 'BEL', 'Brussels', 50.85, 4.35, 'Europe', 'Western Europe', 11655930, 30528, 'EUR', ['Dutch', 'French', 'German']],
+    [60, 'BM', 'BMU', 'Hamilton', 32.29, -64.78, 'North America', 'Northern America', 64184, 54, 'BMD', ['English']],
+    [64, 'BT', 'BTN', 'Thimphu', 27.47, 89.64, 'Asia', 'Southern Asia', 782455, 38394, 'BTN', ['Dzongkha']],
+    [68, 'BO', 'BOL', 'Sucre', -19.03, -65.26, 'South America', 'South America', 12224110, 1098581, 'BOB', ['Spanish', 'Quechua', 'Aymara']],
+    [70, 'BA', 'BIH', 'Sarajevo', 43.86, 18.41, 'Europe', 'Southern Europe', 3233526, 51209, 'BAM', ['Bosnian', 'Croatian', 'Serbian']],
+    [72, 'BW', 'BWA', 'Gaborone', -24.63, 25.92, 'Africa', 'Southern Africa', 2630296, 581730, 'BWP', ['English', 'Tswana']],
+    [76, 'BR', 'BRA', 'Brasília', -15.79, -47.88, 'South America', 'South America', 215313498, 8515767, 'BRL', ['Portuguese']],
+    [84, 'BZ', 'BLZ', 'Belmopan', 17.25, -88.77, 'North America', 'Central America', 405272, 22966, 'BZD', ['English']],
+    [86, 'IO', 'IOT', 'Diego Garcia', -7.31, 72.41, 'Africa', 'Eastern Africa', 3000, 60, 'USD', ['English']],
+    [90, 'SB', 'SLB', 'Honiara', -9.43, 159.95, 'Oceania', 'Melanesia', 724273, 28896, 'SBD', ['English']],
+    [92, 'VG', 'VGB', 'Road Town', 18.43, -64.62, 'North America', 'Caribbean', 31305, 151, 'USD', ['English']],
+    [96, 'BN', 'BRN', 'Bandar Seri Begawan', 4.90, 114.94, 'Asia', 'South-eastern Asia', 449002, 5765, 'BND', ['Malay']],
+    [100, 'BG', 'BGR', 'Sofia', 42.70, 23.32, 'Europe', 'Eastern Europe', 6781953, 110879, 'BGN', ['Bulgarian']],
+    [104, 'MM', 'MMR', 'Naypyidaw', 19.76, 96.13, 'Asia', 'South-eastern Asia', 54179306, 676578, 'MMK', ['Burmese']],
+    [108, 'BI', 'BDI', 'Gitega', -3.43, 29.93, 'Africa', 'Eastern Africa', 12889576, 27834, 'BIF', ['Kirundi', 'French', 'English']],
+    [112, 'BY', 'BLR', 'Minsk', 53.90, 27.57, 'Europe', 'Eastern Europe', 9228071, 207600, 'BYN', ['Belarusian', 'Russian']],
+    [116, 'KH', 'KHM', 'Phnom Penh', 11.56, 104.92, 'Asia', 'South-eastern Asia', 16767842, 181035, 'KHR', ['Khmer']],
+    [120, 'CM', 'CMR', 'Yaoundé', 3.85, 11.50, 'Africa', 'Middle Africa', 27914536, 475442, 'XAF', ['French', 'English']],
+    [124, 'CA', 'CAN', 'Ottawa', 45.42, -75.70, 'North America', 'Northern America', 38929902, 9984670, 'CAD', ['English', 'French']],
+    [132, 'CV', 'CPV', 'Praia', 14.93, -23.51, 'Africa', 'Western Africa', 593149, 4033, 'CVE', ['Portuguese']],
+    [136, 'KY', 'CYM', 'George Town', 19.29, -81.37, 'North America', 'Caribbean', 68706, 264, 'KYD', ['English']],
+    [140, 'CF', 'CAF', 'Bangui', 4.39, 18.56, 'Africa', 'Middle Africa', 5579144, 622984, 'XAF', ['French', 'Sango']],
+    [144, 'LK', 'LKA', 'Sri Jayawardenepura Kotte', 6.89, 79.92, 'Asia', 'Southern Asia', 21832143, 65610, 'LKR', ['Sinhala', 'Tamil']],
+    [148, 'TD', 'TCD', "N'Djamena", 12.13, 15.06, 'Africa', 'Middle Africa', 17723315, 1284000, 'XAF', ['French', 'Arabic']],
+    [152, 'CL', 'CHL', 'Santiago', -33.45, -70.67, 'South America', 'South America', 19603733, 756102, 'CLP', ['Spanish']],
+    [156, 'CN', 'CHN', 'Beijing', 39.90, 116.41, 'Asia', 'Eastern Asia', 1425887337, 9596961, 'CNY', ['Chinese']],
+    [158, 'TW', 'TWN', 'Taipei', 25.03, 121.57, 'Asia', 'Eastern Asia', 23893394, 36193, 'TWD', ['Chinese']],
+    [170, 'CO', 'COL', 'Bogotá', 4.71, -74.07, 'South America', 'South America', 51874024, 1141748, 'COP', ['Spanish']],
+    [174, 'KM', 'COM', 'Moroni', -11.70, 43.26, 'Africa', 'Eastern Africa', 836774, 1862, 'KMF', ['Comorian', 'Arabic', 'French']],
+    [178, 'CG', 'COG', 'Brazzaville', -4.26, 15.24, 'Africa', 'Middle Africa', 5970424, 342000, 'XAF', ['French']],
+    [180, 'CD', 'COD', 'Kinshasa', -4.44, 15.27, 'Africa', 'Middle Africa', 99010212, 2344858, 'CDF', ['French']],
+    [184, 'CK', 'COK', 'Avarua', -21.21, -159.78, 'Oceania', 'Polynesia', 17011, 236, 'NZD', ['English', 'Cook Islands Māori']],
+    [188, 'CR', 'CRI', 'San José', 9.93, -84.09, 'North America', 'Central America', 5180829, 51100, 'CRC', ['Spanish']],
+    [191, 'HR', 'HRV', 'Zagreb', 45.81, 15.98, 'Europe', 'Southern Europe', 4030358, 56594, 'EUR', ['Croatian']],
+    [192, 'CU', 'CUB', 'Havana', 23.11, -82.37, 'North America', 'Caribbean', 11212191, 109884, 'CUP', ['Spanish']],
+    [196, 'CY', 'CYP', 'Nicosia', 35.17, 33.37, 'Europe', 'Southern Europe', 1251488, 9251, 'EUR', ['Greek', 'Turkish']],
+    [203, 'CZ', 'CZE', 'Prague', 50.08, 14.44, 'Europe', 'Eastern Europe', 10493986, 78865, 'CZK', ['Czech']],
+    [204, 'BJ', 'BEN', 'Porto-Novo', 6.50, 2.60, 'Africa', 'Western Africa', 13352864, 114763, 'XOF', ['French']],
+    [208, 'DK', 'DNK', 'Copenhagen', 55.68, 12.57, 'Europe', 'Northern Europe', 5882261, 43094, 'DKK', ['Danish']],
+    [212, 'DM', 'DMA', 'Roseau', 15.30, -61.39, 'North America', 'Caribbean', 72737, 751, 'XCD', ['English']],
+    [214, 'DO', 'DOM', 'Santo Domingo', 18.49, -69.93, 'North America', 'Caribbean', 11228821, 48671, 'DOP', ['Spanish']],
+    [218, 'EC', 'ECU', 'Quito', -0.18, -78.47, 'South America', 'South America', 18001000, 276841, 'USD', ['Spanish']],
+    [222, 'SV', 'SLV', 'San Salvador', 13.69, -89.22, 'North America', 'Central America', 6336392, 21041, 'USD', ['Spanish']],
+    [226, 'GQ', 'GNQ', 'Malabo', 3.75, 8.78, 'Africa', 'Middle Africa', 1674908, 28051, 'XAF', ['Spanish', 'French', 'Portuguese']],
+    [231, 'ET', 'ETH', 'Addis Ababa', 9.03, 38.74, 'Africa', 'Eastern Africa', 123379924, 1104300, 'ETB', ['Amharic']],
+    [232, 'ER', 'ERI', 'Asmara', 15.32, 38.93, 'Africa', 'Eastern Africa', 3684032, 117600, 'ERN', ['Tigrinya', 'Arabic', 'English']],
+    [233, 'EE', 'EST', 'Tallinn', 59.44, 24.75, 'Europe', 'Northern Europe', 1326062, 45227, 'EUR', ['Estonian']],
+    [234, 'FO', 'FRO', 'Tórshavn', 62.01, -6.77, 'Europe', 'Northern Europe', 53090, 1393, 'DKK', ['Faroese', 'Danish']],
+    [238, 'FK', 'FLK', 'Stanley', -51.70, -57.85, 'South America', 'South America', 3662, 12173, 'FKP', ['English']],
+    [239, 'GS', 'SGS', 'King Edward Point', -54.28, -36.51, 'Antarctica', 'Antarctica', 30, 3903, 'GBP', ['English']],
+    [242, 'FJ', 'FJI', 'Suva', -18.14, 178.44, 'Oceania', 'Melanesia', 929766, 18272, 'FJD', ['English', 'Fijian', 'Fiji Hindi']],
+    [246, 'FI', 'FIN', 'Helsinki', 60.17, 24.94, 'Europe', 'Northern Europe', 5540745, 338424, 'EUR', ['Finnish', 'Swedish']],
+    [248, 'AX', 'ALA', 'Mariehamn', 60.10, 19.94, 'Europe', 'Northern Europe', 30129, 1580, 'EUR', ['Swedish']],
+    [250, 'FR', 'FRA', 'Paris', 48.86, 2.35, 'Europe', 'Western Europe', 64626628, 643801, 'EUR', ['French']],
+    [258, 'PF', 'PYF', 'Papeete', -17.53, -149.57, 'Oceania', 'Polynesia', 306279, 4167, 'XPF', ['French']],
+    [260, 'TF', 'ATF', 'Port-aux-Français', -49.35, 70.22, 'Antarctica', 'Antarctica', 140, 7747, 'EUR', ['French']],
+    [262, 'DJ', 'DJI', 'Djibouti', 11.59, 43.15, 'Africa', 'Eastern Africa', 1120849, 23200, 'DJF', ['French', 'Arabic']],
+    [266, 'GA', 'GAB', 'Libreville', 0.42, 9.47, 'Africa', 'Middle Africa', 2388992, 267668, 'XAF', ['French']],
+    [268, 'GE', 'GEO', 'Tbilisi', 41.72, 44.79, 'Asia', 'Western Asia', 3744385, 69700, 'GEL', ['Georgian']],
+    [270, 'GM', 'GMB', 'Banjul', 13.45, -16.58, 'Africa', 'Western Africa', 2705992, 11295, 'GMD', ['English']],
+    [275, 'PS', 'PSE', 'Ramallah', 31.90, 35.20, 'Asia', 'Western Asia', 5250072, 6020, 'ILS', ['Arabic']],
+    [276, 'DE', 'DEU', 'Berlin', 52.52, 13.40, 'Europe', 'Western Europe', 83369843, 357114, 'EUR', ['German']],
+    [288, 'GH', 'GHA', 'Accra', 5.60, -0.19, 'Africa', 'Western Africa', 33475870, 238533, 'GHS', ['English']],
+    [296, 'KI', 'KIR', 'South Tarawa', 1.33, 172.98, 'Oceania', 'Micronesia', 131232, 811, 'AUD', ['English', 'Gilbertese']],
+    [300, 'GR', 'GRC', 'Athens', 37.98, 23.73, 'Europe', 'Southern Europe', 10384971, 131957, 'EUR', ['Greek']],
+    [304, 'GL', 'GRL', 'Nuuk', 64.18, -51.72, 'North America', 'Northern America', 56466, 2166086, 'DKK', ['Greenlandic', 'Danish']],
+    [308, 'GD', 'GRD', "St. George's", 12.06, -61.75, 'North America', 'Caribbean', 125438, 344, 'XCD', ['English']],
+    [316, 'GU', 'GUM', 'Hagåtña', 13.47, 144.75, 'Oceania', 'Micronesia', 171774, 549, 'USD', ['English', 'Chamorro']],
+    [320, 'GT', 'GTM', 'Guatemala City', 14.63, -90.51, 'North America', 'Central America', 17843908, 108889, 'GTQ', ['Spanish']],
+    [324, 'GN', 'GIN', 'Conakry', 9.64, -13.58, 'Africa', 'Western Africa', 13859341, 245857, 'GNF', ['French']],
+    [328, 'GY', 'GUY', 'Georgetown', 6.80, -58.16, 'South America', 'South America', 808726, 214969, 'GYD', ['English']],
+    [332, 'HT', 'HTI', 'Port-au-Prince', 18.59, -72.31, 'North America', 'Caribbean', 11584996, 27750, 'HTG', ['French', 'Haitian Creole']],
+    [334, 'HM', 'HMD', null, null, null, 'Antarctica', 'Antarctica', 0, 412, 'AUD', []],
+    [336, 'VA', 'VAT', 'Vatican City', 41.90, 12.45, 'Europe', 'Southern Europe', 510, 0.44, 'EUR', ['Italian', 'Latin']],
+    [340, 'HN', 'HND', 'Tegucigalpa', 14.07, -87.19, 'North America', 'Central America', 10432860, 112492, 'HNL', ['Spanish']],
+    [344, 'HK', 'HKG', 'Victoria', 22.28, 114.16, 'Asia', 'Eastern Asia', 7488865, 1104, 'HKD', ['Chinese', 'English']],
+    [348, 'HU', 'HUN', 'Budapest', 47.50, 19.04, 'Europe', 'Eastern Europe', 9967308, 93028, 'HUF', ['Hungarian']],
+    [352, 'IS', 'ISL', 'Reykjavík', 64.15, -21.94, 'Europe', 'Northern Europe', 372899, 103000, 'ISK', ['Icelandic']],
+    [356, 'IN', 'IND', 'New Delhi', 28.61, 77.21, 'Asia', 'Southern Asia', 1417173173, 3287263, 'INR', ['Hindi', 'English']],
+    [360, 'ID', 'IDN', 'Jakarta', -6.21, 106.85, 'Asia', 'South-eastern Asia', 275501339, 1904569, 'IDR', ['Indonesian']],
+    [364, 'IR', 'IRN', 'Tehran', 35.69, 51.39, 'Asia', 'Southern Asia', 88550570, 1648195, 'IRR', ['Persian']],
+    [368, 'IQ', 'IRQ', 'Baghdad', 33.32, 44.36, 'Asia', 'Western Asia', 44496122, 438317, 'IQD', ['Arabic', 'Kurdish']],
+    [372, 'IE', 'IRL', 'Dublin', 53.35, -6.26, 'Europe', 'Northern Europe', 5023109, 70273, 'EUR', ['Irish', 'English']],
+    [376, 'IL', 'ISR', 'Jerusalem', 31.77, 35.22, 'Asia', 'Western Asia', 9038309, 20770, 'ILS', ['Hebrew', 'Arabic']],
+    [380, 'IT', 'ITA', 'Rome', 41.90, 12.50, 'Europe', 'Southern Europe', 59037474, 301336, 'EUR', ['Italian']],
+    [384, 'CI', 'CIV', 'Yamoussoukro', 6.83, -5.29, 'Africa', 'Western Africa', 28160542, 322463, 'XOF', ['French']],
+    [388, 'JM', 'JAM', 'Kingston', 17.97, -76.79, 'North America', 'Caribbean', 2827377, 10991, 'JMD', ['English']],
+    [392, 'JP', 'JPN', 'Tokyo', 35.68, 139.69, 'Asia', 'Eastern Asia', 123951692, 377930, 'JPY', ['Japanese']],
+    [398, 'KZ', 'KAZ', 'Astana', 51.17, 71.45, 'Asia', 'Central Asia', 19397998, 2724900, 'KZT', ['Kazakh', 'Russian']],
+    [400, 'JO', 'JOR', 'Amman', 31.95, 35.93, 'Asia', 'Western Asia', 11285869, 89342, 'JOD', ['Arabic']],
+    [404, 'KE', 'KEN', 'Nairobi', -1.29, 36.82, 'Africa', 'Eastern Africa', 54027487, 580367, 'KES', ['Swahili', 'English']],
+    [408, 'KP', 'PRK', 'Pyongyang', 39.04, 125.76, 'Asia', 'Eastern Asia', 26069416, 120538, 'KPW', ['Korean']],
+    [410, 'KR', 'KOR', 'Seoul', 37.57, 126.98, 'Asia', 'Eastern Asia', 51815810, 100210, 'KRW', ['Korean']],
+    [414, 'KW', 'KWT', 'Kuwait City', 29.38, 47.99, 'Asia', 'Western Asia', 4268873, 17818, 'KWD', ['Arabic']],
+    [417, 'KG', 'KGZ', 'Bishkek', 42.87, 74.59, 'Asia', 'Central Asia', 6630623, 199951, 'KGS', ['Kyrgyz', 'Russian']],
+    [418, 'LA', 'LAO', 'Vientiane', 17.97, 102.63, 'Asia', 'South-eastern Asia', 7529475, 236800, 'LAK', ['Lao']],
+    [422, 'LB', 'LBN', 'Beirut', 33.89, 35.50, 'Asia', 'Western Asia', 5489739, 10452, 'LBP', ['Arabic', 'French']],
+    [426, 'LS', 'LSO', 'Maseru', -29.31, 27.48, 'Africa', 'Southern Africa', 2305825, 30355, 'LSL', ['Sesotho', 'English']],
+    [428, 'LV', 'LVA', 'Riga', 56.95, 24.11, 'Europe', 'Northern Europe', 1850651, 64559, 'EUR', ['Latvian']],
+    [430, 'LR', 'LBR', 'Monrovia', 6.30, -10.80, 'Africa', 'Western Africa', 5302681, 111369, 'LRD', ['English']],
+    [434, 'LY', 'LBY', 'Tripoli', 32.89, 13.19, 'Africa', 'Northern Africa', 6812341, 1759540, 'LYD', ['Arabic']],
+    [438, 'LI', 'LIE', 'Vaduz', 47.14, 9.52, 'Europe', 'Western Europe', 39327, 160, 'CHF', ['German']],
+    [440, 'LT', 'LTU', 'Vilnius', 54.69, 25.28, 'Europe', 'Northern Europe', 2750055, 65300, 'EUR', ['Lithuanian']],
+    [442, 'LU', 'LUX', 'Luxembourg', 49.61, 6.13, 'Europe', 'Western Europe', 647599, 2586, 'EUR', ['Luxembourgish', 'French', 'German']],
+    [446, 'MO', 'MAC', 'Macau', 22.19, 113.54, 'Asia', 'Eastern Asia', 695168, 33, 'MOP', ['Chinese', 'Portuguese']],
+    [450, 'MG', 'MDG', 'Antananarivo', -18.88, 47.51, 'Africa', 'Eastern Africa', 29611714, 587041, 'MGA', ['Malagasy', 'French']],
+    [454, 'MW', 'MWI', 'Lilongwe', -13.96, 33.79, 'Africa', 'Eastern Africa', 20405317, 118484, 'MWK', ['English', 'Chichewa']],
+    [458, 'MY', 'MYS', 'Kuala Lumpur', 3.14, 101.69, 'Asia', 'South-eastern Asia', 33938221, 330803, 'MYR', ['Malay']],
+    [462, 'MV', 'MDV', 'Malé', 4.18, 73.51, 'Asia', 'Southern Asia', 523787, 300, 'MVR', ['Dhivehi']],
+    [466, 'ML', 'MLI', 'Bamako', 12.64, -8.00, 'Africa', 'Western Africa', 22593590, 1240192, 'XOF', ['Bambara', 'French']],
+    [470, 'MT', 'MLT', 'Valletta', 35.90, 14.51, 'Europe', 'Southern Europe', 533286, 316, 'EUR', ['Maltese', 'English']],
+    [478, 'MR', 'MRT', 'Nouakchott', 18.08, -15.98, 'Africa', 'Western Africa', 4736139, 1030700, 'MRU', ['Arabic']],
+    [480, 'MU', 'MUS', 'Port Louis', -20.16, 57.50, 'Africa', 'Eastern Africa', 1299469, 2040, 'MUR', ['English', 'French', 'Mauritian Creole']],
+    [484, 'MX', 'MEX', 'Mexico City', 19.43, -99.13, 'North America', 'Central America', 127504125, 1964375, 'MXN', ['Spanish']],
+    [492, 'MC', 'MCO', 'Monaco', 43.73, 7.42, 'Europe', 'Western Europe', 36469, 2.02, 'EUR', ['French']],
+    [496, 'MN', 'MNG', 'Ulaanbaatar', 47.89, 106.91, 'Asia', 'Eastern Asia', 3398366, 1564110, 'MNT', ['Mongolian']],
+    [498, 'MD', 'MDA', 'Chișinău', 47.01, 28.86, 'Europe', 'Eastern Europe', 3272996, 33846, 'MDL', ['Romanian']],
+    [499, 'ME', 'MNE', 'Podgorica', 42.44, 19.26, 'Europe', 'Southern Europe', 627082, 13812, 'EUR', ['Montenegrin']],
+    [500, 'MS', 'MSR', 'Plymouth', 16.71, -62.22, 'North America', 'Caribbean', 4390, 102, 'XCD', ['English']],
+    [504, 'MA', 'MAR', 'Rabat', 34.02, -6.84, 'Africa', 'Northern Africa', 37457971, 446550, 'MAD', ['Arabic', 'Berber']],
+    [508, 'MZ', 'MOZ', 'Maputo', -25.97, 32.57, 'Africa', 'Eastern Africa', 32969518, 801590, 'MZN', ['Portuguese']],
+    [512, 'OM', 'OMN', 'Muscat', 23.59, 58.41, 'Asia', 'Western Asia', 4576298, 309500, 'OMR', ['Arabic']],
+    [516, 'NA', 'NAM', 'Windhoek', -22.56, 17.08, 'Africa', 'Southern Africa', 2567012, 825615, 'NAD', ['English']],
+    [520, 'NR', 'NRU', 'Yaren', -0.55, 166.92, 'Oceania', 'Micronesia', 12668, 21, 'AUD', ['Nauruan', 'English']],
+    [524, 'NP', 'NPL', 'Kathmandu', 27.72, 85.32, 'Asia', 'Southern Asia', 30547580, 147181, 'NPR', ['Nepali']],
+    [528, 'NL', 'NLD', 'Amsterdam', 52.37, 4.90, 'Europe', 'Western Europe', 17564014, 41850, 'EUR', ['Dutch']],
+    [531, 'CW', 'CUW', 'Willemstad', 12.11, -68.93, 'North America', 'Caribbean', 191163, 444, 'ANG', ['Dutch', 'Papiamento', 'English']],
+    [533, 'AW', 'ABW', 'Oranjestad', 12.52, -70.03, 'North America', 'Caribbean', 106445, 180, 'AWG', ['Dutch', 'Papiamento']],
+    [534, 'SX', 'SXM', 'Philipsburg', 18.03, -63.05, 'North America', 'Caribbean', 44175, 34, 'ANG', ['Dutch', 'English']],
+    [540, 'NC', 'NCL', 'Nouméa', -22.28, 166.46, 'Oceania', 'Melanesia', 289950, 18575, 'XPF', ['French']],
+    [548, 'VU', 'VUT', 'Port Vila', -17.73, 168.32, 'Oceania', 'Melanesia', 326740, 12189, 'VUV', ['Bislama', 'English', 'French']],
+    [554, 'NZ', 'NZL', 'Wellington', -41.29, 174.78, 'Oceania', 'Australia and New Zealand', 5185288, 268838, 'NZD', ['English', 'Māori']],
+    [558, 'NI', 'NIC', 'Managua', 12.11, -86.24, 'North America', 'Central America', 6948392, 130373, 'NIO', ['Spanish']],
+    [562, 'NE', 'NER', 'Niamey', 13.51, 2.11, 'Africa', 'Western Africa', 26207977, 1267000, 'XOF', ['French']],
+    [566, 'NG', 'NGA', 'Abuja', 9.08, 7.40, 'Africa', 'Western Africa', 218541212, 923768, 'NGN', ['English']],
+    [570, 'NU', 'NIU', 'Alofi', -19.06, -169.92, 'Oceania', 'Polynesia', 1935, 260, 'NZD', ['Niuean', 'English']],
+    [574, 'NF', 'NFK', 'Kingston', -29.06, 167.96, 'Oceania', 'Australia and New Zealand', 2188, 36, 'AUD', ['English']],
+    [578, 'NO', 'NOR', 'Oslo', 59.91, 10.75, 'Europe', 'Northern Europe', 5434319, 323802, 'NOK', ['Norwegian']],
+    [580, 'MP', 'MNP', 'Saipan', 15.18, 145.75, 'Oceania', 'Micronesia', 49551, 464, 'USD', ['English', 'Chamorro', 'Carolinian']],
+    [583, 'FM', 'FSM', 'Palikir', 6.92, 158.16, 'Oceania', 'Micronesia', 114164, 702, 'USD', ['English']],
+    [584, 'MH', 'MHL', 'Majuro', 7.09, 171.38, 'Oceania', 'Micronesia', 41569, 181, 'USD', ['Marshallese', 'English']],
+    [585, 'PW', 'PLW', 'Ngerulmud', 7.50, 134.62, 'Oceania', 'Micronesia', 18055, 459, 'USD', ['Palauan', 'English']],
+    [586, 'PK', 'PAK', 'Islamabad', 33.68, 73.05, 'Asia', 'Southern Asia', 235824862, 881913, 'PKR', ['Urdu', 'English']],
+    [591, 'PA', 'PAN', 'Panama City', 8.98, -79.52, 'North America', 'Central America', 4408581, 75417, 'PAB', ['Spanish']],
+    [598, 'PG', 'PNG', 'Port Moresby', -9.44, 147.18, 'Oceania', 'Melanesia', 10142619, 462840, 'PGK', ['English', 'Tok Pisin', 'Hiri Motu']],
+    [600, 'PY', 'PRY', 'Asunción', -25.26, -57.58, 'South America', 'South America', 6780744, 406752, 'PYG', ['Spanish', 'Guaraní']],
+    [604, 'PE', 'PER', 'Lima', -12.05, -77.04, 'South America', 'South America', 34049588, 1285216, 'PEN', ['Spanish', 'Quechua', 'Aymara']],
+    [608, 'PH', 'PHL', 'Manila', 14.60, 120.98, 'Asia', 'South-eastern Asia', 115559009, 300000, 'PHP', ['Filipino', 'English']],
+    [612, 'PN', 'PCN', 'Adamstown', -25.07, -130.10, 'Oceania', 'Polynesia', 47, 47, 'NZD', ['English']],
+    [616, 'PL', 'POL', 'Warsaw', 52.23, 21.01, 'Europe', 'Eastern Europe', 39857145, 312696, 'PLN', ['Polish']],
+    [620, 'PT', 'PRT', 'Lisbon', 38.72, -9.14, 'Europe', 'Southern Europe', 10270865, 92212, 'EUR', ['Portuguese']],
+    [624, 'GW', 'GNB', 'Bissau', 11.86, -15.60, 'Africa', 'Western Africa', 2105566, 36125, 'XOF', ['Portuguese']],
+    [626, 'TL', 'TLS', 'Dili', -8.56, 125.57, 'Asia', 'South-eastern Asia', 1341296, 14874, 'USD', ['Tetum', 'Portuguese']],
+    [630, 'PR', 'PRI', 'San Juan', 18.47, -66.11, 'North America', 'Caribbean', 3252407, 9104, 'USD', ['Spanish', 'English']],
+    [634, 'QA', 'QAT', 'Doha', 25.29, 51.53, 'Asia', 'Western Asia', 2695122, 11586, 'QAR', ['Arabic']],
+    [642, 'RO', 'ROU', 'Bucharest', 44.43, 26.10, 'Europe', 'Eastern Europe', 19659267, 238397, 'RON', ['Romanian']],
+    [643, 'RU', 'RUS', 'Moscow', 55.76, 37.62, 'Europe', 'Eastern Europe', 144713314, 17098246, 'RUB', ['Russian']],
+    [646, 'RW', 'RWA', 'Kigali', -1.94, 30.06, 'Africa', 'Eastern Africa', 13776698, 26338, 'RWF', ['Kinyarwanda', 'French', 'English']],
+    [652, 'BL', 'BLM', 'Gustavia', 17.90, -62.85, 'North America', 'Caribbean', 10967, 21, 'EUR', ['French']],
+    [654, 'SH', 'SHN', 'Jamestown', -15.92, -5.72, 'Africa', 'Western Africa', 5314, 394, 'SHP', ['English']],
+    [659, 'KN', 'KNA', 'Basseterre', 17.30, -62.72, 'North America', 'Caribbean', 47657, 261, 'XCD', ['English']],
+    [660, 'AI', 'AIA', 'The Valley', 18.22, -63.05, 'North America', 'Caribbean', 15857, 91, 'XCD', ['English']],
+    [662, 'LC', 'LCA', 'Castries', 14.01, -60.99, 'North America', 'Caribbean', 179857, 616, 'XCD', ['English']],
+    [663, 'MF', 'MAF', 'Marigot', 18.07, -63.08, 'North America', 'Caribbean', 31791, 53, 'EUR', ['French']],
+    [666, 'PM', 'SPM', 'Saint-Pierre', 46.78, -56.18, 'North America', 'Northern America', 5862, 242, 'EUR', ['French']],
+    [670, 'VC', 'VCT', 'Kingstown', 13.16, -61.22, 'North America', 'Caribbean', 103948, 389, 'XCD', ['English']],
+    [674, 'SM', 'SMR', 'San Marino', 43.94, 12.45, 'Europe', 'Southern Europe', 33660, 61, 'EUR', ['Italian']],
+    [678, 'ST', 'STP', 'São Tomé', 0.34, 6.73, 'Africa', 'Middle Africa', 227380, 964, 'STN', ['Portuguese']],
+    [682, 'SA', 'SAU', 'Riyadh', 24.71, 46.68, 'Asia', 'Western Asia', 36408820, 2149690, 'SAR', ['Arabic']],
+    [686, 'SN', 'SEN', 'Dakar', 14.72, -17.47, 'Africa', 'Western Africa', 17316449, 196722, 'XOF', ['French']],
+    [688, 'RS', 'SRB', 'Belgrade', 44.79, 20.45, 'Europe', 'Southern Europe', 7221365, 77474, 'RSD', ['Serbian']],
+    [690, 'SC', 'SYC', 'Victoria', -4.62, 55.45, 'Africa', 'Eastern Africa', 107118, 452, 'SCR', ['Seychellois Creole', 'English', 'French']],
+    [694, 'SL', 'SLE', 'Freetown', 8.47, -13.23, 'Africa', 'Western Africa', 8605718, 71740, 'SLE', ['English']],
+    [702, 'SG', 'SGP', 'Singapore', 1.29, 103.85, 'Asia', 'South-eastern Asia', 5975689, 728, 'SGD', ['English', 'Malay', 'Tamil', 'Chinese']],
+    [703, 'SK', 'SVK', 'Bratislava', 48.15, 17.11, 'Europe', 'Eastern Europe', 5643453, 49035, 'EUR', ['Slovak']],
+    [704, 'VN', 'VNM', 'Hanoi', 21.03, 105.85, 'Asia', 'South-eastern Asia', 98186856, 331212, 'VND', ['Vietnamese']],
+    [705, 'SI', 'SVN', 'Ljubljana', 46.06, 14.51, 'Europe', 'Southern Europe', 2119844, 20273, 'EUR', ['Slovene']],
+    [706, 'SO', 'SOM', 'Mogadishu', 2.05, 45.32, 'Africa', 'Eastern Africa', 17597511, 637657, 'SOS', ['Somali', 'Arabic']],
+    [710, 'ZA', 'ZAF', 'Pretoria', -25.75, 28.19, 'Africa', 'Southern Africa', 59893885, 1221037, 'ZAR', ['Zulu', 'Xhosa', 'Afrikaans', 'English']],
+    [716, 'ZW', 'ZWE', 'Harare', -17.83, 31.05, 'Africa', 'Eastern Africa', 16320537, 390757, 'ZWL', ['English', 'Shona', 'Ndebele']],
+    [724, 'ES', 'ESP', 'Madrid', 40.42, -3.70, 'Europe', 'Southern Europe', 47558630, 505992, 'EUR', ['Spanish']],
+    [728, 'SS', 'SSD', 'Juba', 4.85, 31.58, 'Africa', 'Eastern Africa', 10913164, 619745, 'SSP', ['English']],
+    [729, 'SD', 'SDN', 'Khartoum', 15.50, 32.56, 'Africa', 'Northern Africa', 46874204, 1861484, 'SDG', ['Arabic', 'English']],
+    [732, 'EH', 'ESH', 'Laayoune', 27.15, -13.20, 'Africa', 'Northern Africa', 576186, 266000, 'MAD', ['Arabic', 'Spanish']],
+    [740, 'SR', 'SUR', 'Paramaribo', 5.85, -55.20, 'South America', 'South America', 618040, 163820, 'SRD', ['Dutch']],
+    [748, 'SZ', 'SWZ', 'Mbabane', -26.31, 31.14, 'Africa', 'Southern Africa', 1201670, 17364, 'SZL', ['Swazi', 'English']],
+    [752, 'SE', 'SWE', 'Stockholm', 59.33, 18.07, 'Europe', 'Northern Europe', 10549347, 450295, 'SEK', ['Swedish']],
+    [756, 'CH', 'CHE', 'Bern', 46.95, 7.45, 'Europe', 'Western Europe', 8740472, 41284, 'CHF', ['German', 'French', 'Italian', 'Romansh']],
+    [760, 'SY', 'SYR', 'Damascus', 33.51, 36.29, 'Asia', 'Western Asia', 22125249, 185180, 'SYP', ['Arabic']],
+    [762, 'TJ', 'TJK', 'Dushanbe', 38.56, 68.79, 'Asia', 'Central Asia', 9952787, 143100, 'TJS', ['Tajik', 'Russian']],
+    [764, 'TH', 'THA', 'Bangkok', 13.76, 100.50, 'Asia', 'South-eastern Asia', 71697030, 513120, 'THB', ['Thai']],
+    [768, 'TG', 'TGO', 'Lomé', 6.13, 1.22, 'Africa', 'Western Africa', 8848699, 56785, 'XOF', ['French']],
+    [776, 'TO', 'TON', "Nuku'alofa", -21.14, -175.20, 'Oceania', 'Polynesia', 106858, 747, 'TOP', ['Tongan', 'English']],
+    [780, 'TT', 'TTO', 'Port of Spain', 10.65, -61.51, 'North America', 'Caribbean', 1531044, 5130, 'TTD', ['English']],
+    [784, 'AE', 'ARE', 'Abu Dhabi', 24.45, 54.38, 'Asia', 'Western Asia', 9441129, 83600, 'AED', ['Arabic']],
+    [788, 'TN', 'TUN', 'Tunis', 36.81, 10.18, 'Africa', 'Northern Africa', 12356117, 163610, 'TND', ['Arabic']],
+    [792, 'TR', 'TUR', 'Ankara', 39.93, 32.86, 'Asia', 'Western Asia', 85341241, 783562, 'TRY', ['Turkish']],
+    [795, 'TM', 'TKM', 'Ashgabat', 37.96, 58.33, 'Asia', 'Central Asia', 6430770, 488100, 'TMT', ['Turkmen']],
+    [796, 'TC', 'TCA', 'Cockburn Town', 21.46, -71.14, 'North America', 'Caribbean', 45703, 948, 'USD', ['English']],
+    [800, 'UG', 'UGA', 'Kampala', 0.35, 32.58, 'Africa', 'Eastern Africa', 47249585, 241550, 'UGX', ['English', 'Swahili']],
+    [804, 'UA', 'UKR', 'Kyiv', 50.45, 30.52, 'Europe', 'Eastern Europe', 39701739, 603500, 'UAH', ['Ukrainian']],
+    [807, 'MK', 'MKD', 'Skopje', 42.00, 21.43, 'Europe', 'Southern Europe', 2093599, 25713, 'MKD', ['Macedonian', 'Albanian']],
+    [818, 'EG', 'EGY', 'Cairo', 30.04, 31.24, 'Africa', 'Northern Africa', 110990103, 1001450, 'EGP', ['Arabic']],
+    [826, 'GB', 'GBR', 'London', 51.51, -0.13, 'Europe', 'Northern Europe', 67508936, 242495, 'GBP', ['English']],
+    [831, 'GG', 'GGY', 'St Peter Port', 49.46, -2.54, 'Europe', 'Northern Europe', 63544, 78, 'GBP', ['English', 'French']],
+    [832, 'JE', 'JEY', 'Saint Helier', 49.19, -2.11, 'Europe', 'Northern Europe', 110778, 116, 'GBP', ['English', 'French']],
+    [833, 'IM', 'IMN', 'Douglas', 54.15, -4.48, 'Europe', 'Northern Europe', 84519, 572, 'GBP', ['English', 'Manx']],
+    [834, 'TZ', 'TZA', 'Dodoma', -6.16, 35.75, 'Africa', 'Eastern Africa', 65497748, 945087, 'TZS', ['Swahili', 'English']],
+    [840, 'US', 'USA', 'Washington, D.C.', 38.90, -77.04, 'North America', 'Northern America', 338289857, 9833520, 'USD', ['English']],
+    [850, 'VI', 'VIR', 'Charlotte Amalie', 18.34, -64.93, 'North America', 'Caribbean', 99465, 347, 'USD', ['English']],
+    [854, 'BF', 'BFA', 'Ouagadougou', 12.37, -1.52, 'Africa', 'Western Africa', 22673762, 272967, 'XOF', ['French']],
+    [858, 'UY', 'URY', 'Montevideo', -34.90, -56.16, 'South America', 'South America', 3422794, 176215, 'UYU', ['Spanish']],
+    [860, 'UZ', 'UZB', 'Tashkent', 41.30, 69.24, 'Asia', 'Central Asia', 34627652, 447400, 'UZS', ['Uzbek']],
+    [862, 'VE', 'VEN', 'Caracas', 10.48, -66.90, 'South America', 'South America', 28301696, 916445, 'VES', ['Spanish']],
+    [876, 'WF', 'WLF', 'Mata-Utu', -13.28, -176.17, 'Oceania', 'Polynesia', 11572, 142, 'XPF', ['French']],
+    [882, 'WS', 'WSM', 'Apia', -13.83, -171.76, 'Oceania', 'Polynesia', 222382, 2842, 'WST', ['Samoan', 'English']],
+    [887, 'YE', 'YEM', "Sana'a", 15.37, 44.19, 'Asia', 'Western Asia', 33696614, 527968, 'YER', ['Arabic']],
+    [894, 'ZM', 'ZMB', 'Lusaka', -15.39, 28.32, 'Africa', 'Eastern Africa', 20017675, 752612, 'ZMW', ['English']]
+];
+
+// Areas without an ISO numeric code are matched by their world-atlas name
+const UNCODED_ROWS = {
+    'Kosovo': [null, 'XK', 'XKX', 'Pristina', 42.66, 21.17, 'Europe', 'Southern Europe', 1762220, 10887, 'EUR', ['Albanian', 'Serbian']],
+    'N. Cyprus': [null, null, null, 'North Nicosia', 35.18, 33.36, 'Europe', 'Southern Europe', 382836, 3355, 'TRY', ['Turkish']],
+    'Somaliland': [null, null, null, 'Hargeisa', 9.56, 44.06, 'Africa', 'Eastern Africa', 5700000, 177000, null, ['Somali', 'Arabic', 'English']]
+};
+
+/**
+ * Turn a table row into a metadata object
+ */
+function toMeta(row) {
+    const raw = Object.fromEntries(COLUMNS.map((column, i) => [column, row[i]]));
+    return {
+        iso2: raw.iso2,
+        iso3: raw.iso3,
+        capital: raw.capital
+            ? { name: raw.capital, lat: raw.capitalLat, lon: raw.capitalLon }
+            : null,
+        continent: raw.continent,
+        subregion: raw.subregion,
+        population: raw.population,
+        area: raw.area,
+        currency: raw.currency,
+        languages: raw.languages
+    };
+}
+
+const META_BY_ID = new Map(ROWS.map(row => [row[0], toMeta(row)]));
+const META_BY_NAME = new Map(Object.entries(UNCODED_ROWS).map(([name, row]) => [name, toMeta(row)]));
+
+/**
+ * Look up metadata for a country
+ * @param {number} id - World-atlas numeric ID
+ * @param {string} name - World-atlas name, used for areas without a code
+ * @returns {Object|null}
+ */
+export function getCountryMeta(id, name) {
+    return META_BY_ID.get(id) || META_BY_NAME.get(name) || null;
+}
+
+/**
+ * Every metadata entry (used by the flag asset script)
+ */
+export function listCountryMeta() {
+    return [...META_BY_ID.values(), ...META_BY_NAME.values()];
+}
+
+export default getCountryMeta;
@@ -7,14 +7,32 @@ import { CONFIG } from '../core/config.js';
 import { state } from '../core/state.js';
 import { sceneManager } from '../core/scene.js';
 import { globeRenderer } from './globe.js';
+import { createPolygonGeometry } from './polygonMesh.js';
+import { statusOverlay } from './statusOverlay.js';
+import { LookupRaster } from './lookup.js';
+import { distanceToGeometryKm, isNearBounds, geometryBounds, sphericalCentroid, angularExtent, angularDistance } from '../utils/geo.js';
+import { labelAnchor } from '../utils/polylabel.js';
+import { getCountryMeta } from '../data/countryMeta.js';
+import { flags } from '../utils/flags.js';
+import { processInSlices } from '../utils/scheduler.js';
 
 class CountryRenderer {
     constructor() {
         this.countriesGroup = null;
         this.bordersGroup = null;
+        this.detailBordersGroup = null;
+        this.borderMaterial = null;
+        this.bordersVisible = true;
         this.highlightMesh = null;
+        this.highlightOptions = {};
         this.lookupTexture = null;
         this.lookupCanvas = null;
+        this.baseLookup = null;
+        this.detailLookup = null;
+        this.detailState = 'idle'; // idle | loading | ready | failed
+        this.detailLoad = null;    // Promise of the 50m load, shared by every caller
+        this.useDetail = false;
+        this.lastPrefetch = 0;
         this.countryData = [];
         this.countryMeshes = new Map();
     }
@@ -34,35 +52,46 @@ class CountryRenderer {
             const countries = topojson.feature(topoData, topoData.objects.countries);
 
             // Process country data
-            this.countryData = countries.features.map((feature, index) => {
-                const props = feature.properties || {};
-                return {
-                    id: feature.id || index,
-                    name: props.name || `Country ${index}`,
-                    geometry: feature.geometry,
-                    centroid: this._calculateCentroid(feature.geometry),
-                    bounds: this._calculateBounds(feature.geometry)
-                };
-            });
+            this.countryData = countries.features.map((feature, index) =>
+                this._createCountry(this._normalizeId(feature.id, index), feature, index)
+            );
 
             // Build lookup maps
             const byId = new Map();
             const byName = new Map();
+            const byIso = new Map();
             this.countryData.forEach(country => {
                 byId.set(country.id, country);
                 byName.set(country.name.toLowerCase(), country);
+                this._indexIso(byIso, country);
             });
 
+            // Countries that share a border (features keep the geometries' order)
+            const neighbors = this._addNeighbors(new Map(), topoData.objects.countries.geometries, this.countryData);
+
             state.update({
                 'countries.loaded': true,
                 'countries.data': this.countryData,
                 'countries.byId': byId,
-                'countries.byName': byName
+                'countries.byName': byName,
+                'countries.byIso': byIso,
+                'countries.neighbors': neighbors
             });
 
             // Create visual elements
             await this._createCountryMeshes();
             this._createLookupTexture();
+            statusOverlay.create(this.lookupTexture);
+
+            // Keep the highlight in the theme colour
+            state.subscribe('theme', () => {
+                if (this.highlightMesh && !this.highlightMesh.material.map) {
+                    this.highlightMesh.material.color.copy(this._themeAccent());
+                }
+            });
+
+            // Swap to 50m data when zoomed in
+            sceneManager.onRender(() => this._updateResolution());
 
             return this.countryData;
 
@@ -73,80 +102,99 @@ class CountryRenderer {
     }
 
     /**
-     * Calculate centroid of a geometry
+     * Build a country record from a GeoJSON feature, merged with its
+     * bundled metadata (ISO codes, capital, region, population, ...)
      */
-    _calculateCentroid(geometry) {
-        let totalLat = 0, totalLon = 0, count = 0;
-
-        const processCoords = (coords) => {
-            if (typeof coords[0] === 'number') {
-                totalLon += coords[0];
-                totalLat += coords[1];
-                count++;
-            } else {
-                coords.forEach(processCoords);
-            }
+    _createCountry(id, feature, index) {
+        const props = feature.properties || {};
+        const meta = getCountryMeta(id, props.name);
+        const centroid = this._calculateCentroid(feature.geometry);
+        // Point inside the main landmass, for camera framing and labels
+        const anchor = labelAnchor(feature.geometry) || centroid;
+        return {
+            id,
+            name: props.name || `Country ${index}`,
+            geometry: feature.geometry,
+            centroid,
+            anchor,
+            // Angular radius around the anchor covering the main parts
+            extent: angularExtent(feature.geometry, anchor),
+            bounds: this._calculateBounds(feature.geometry),
+            iso2: meta?.iso2 || null,
+            iso3: meta?.iso3 || null,
+            capital: meta?.capital || null,
+            continent: meta?.continent || null,
+            subregion: meta?.subregion || null,
+            population: meta?.population ?? null,
+            area: meta?.area ?? null,
+            currency: meta?.currency || null,
+            languages: meta?.languages || []
         };
+    }
 
-        if (geometry.coordinates) {
-            processCoords(geometry.coordinates);
-        }
-
-        return count > 0 ? {
-            lat: totalLat / count,
-            lon: totalLon / count
-        } : { lat: 0, lon: 0 };
+    /**
+     * Index a country under its alpha-2 and alpha-3 codes
+     */
+    _indexIso(byIso, country) {
+        if (country.iso2) byIso.set(country.iso2, country);
+        if (country.iso3) byIso.set(country.iso3, country);
     }
 
     /**
-     * Calculate bounding box
+     * World-atlas IDs are zero-padded ISO numeric strings ("004") and a few
+     * disputed areas have none; use numbers so IDs survive the lookup
+     * texture and dataset attributes, and keep fallbacks clear of real codes
      */
-    _calculateBounds(geometry) {
-        let minLat = 90, maxLat = -90, minLon = 180, maxLon = -180;
-
-        const processCoords = (coords) => {
-            if (typeof coords[0] === 'number') {
-                minLon = Math.min(minLon, coords[0]);
-                maxLon = Math.max(maxLon, coords[0]);
-                minLat = Math.min(minLat, coords[1]);
-                maxLat = Math.max(maxLat, coords[1]);
-            } else {
-                coords.forEach(processCoords);
-            }
-        };
+    _normalizeId(id, index) {
+        const numeric = parseInt(id, 10);
+        return Number.isNaN(numeric) ? 1000 + index : numeric;
+    }
 
-        if (geometry.coordinates) {
-            processCoords(geometry.coordinates);
-        }
+    /**
+     * Calculate the area-weighted centroid of a geometry on the sphere
+     */
+    _calculateCentroid(geometry) {
+        return sphericalCentroid(geometry) || { lat: 0, lon: 0 };
+    }
 
-        return { minLat, maxLat, minLon, maxLon };
+    /**
+     * Calculate bounding box (maxLon may exceed 180 across the antimeridian)
+     */
+    _calculateBounds(geometry) {
+        return geometryBounds(geometry);
     }
 
     /**
      * Create 3D meshes for country borders
      */
     async _createCountryMeshes() {
-        this.bordersGroup = new THREE.Group();
-        this.bordersGroup.name = 'borders';
-
-        const lineMaterial = new THREE.LineBasicMaterial({
+        this.borderMaterial = new THREE.LineBasicMaterial({
             color: 0x88ccff,
             transparent: true,
             opacity: 0.6,
             linewidth: 1
         });
 
+        this.bordersGroup = new THREE.Group();
+        this.bordersGroup.name = 'borders';
+
         this.countryData.forEach(country => {
-            const lines = this._geometryToLines(country.geometry);
-            lines.forEach(line => {
-                line.material = lineMaterial;
-                this.bordersGroup.add(line);
-            });
+            this._addBorders(this.bordersGroup, country.geometry);
         });
 
         sceneManager.scene.add(this.bordersGroup);
     }
 
+    /**
+     * Add a geometry's border lines to a group
+     */
+    _addBorders(group, geometry) {
+        this._geometryToLines(geometry).forEach(line => {
+            line.material = this.borderMaterial;
+            group.add(line);
+        });
+    }
+
     /**
      * Convert GeoJSON geometry to Three.js lines
      */
@@ -199,103 +247,344 @@ class CountryRenderer {
      * Create lookup texture for raycasting
      */
     _createLookupTexture() {
-        const size = 2048;
-        this.lookupCanvas = document.createElement('canvas');
-        this.lookupCanvas.width = size;
-        this.lookupCanvas.height = size;
-        const ctx = this.lookupCanvas.getContext('2d');
+        const size = CONFIG.lookup.baseSize;
+        this.baseLookup = new LookupRaster({
+            width: size,
+            height: size,
+            tileSize: size,
+            keepCanvas: true
+        });
+        this.baseLookup.setCountries(this.countryData);
 
-        // Fill with black (no country)
-        ctx.fillStyle = '#000000';
-        ctx.fillRect(0, 0, size, size);
+        // The base raster is a single tile; its canvas doubles as the texture
+        this.lookupCanvas = this.baseLookup.getTile(0, 0).canvas;
+        this.lookupTexture = new THREE.CanvasTexture(this.lookupCanvas);
+    }
 
-        // Draw each country with unique color based on ID
-        this.countryData.forEach(country => {
-            const color = this._idToColor(country.id);
-            ctx.fillStyle = color;
-            ctx.strokeStyle = color;
-            ctx.lineWidth = 1;
+    /**
+     * Load the 50m dataset in the background and build the detail
+     * borders and lookup raster without blocking rendering
+     * @returns {Promise<void>} Settles once loaded (or failed), however often it's called
+     */
+    loadDetail() {
+        if (!this.detailLoad) {
+            this.detailLoad = this._loadDetail();
+        }
+        return this.detailLoad;
+    }
 
-            this._drawGeometry(ctx, country.geometry, size);
-        });
+    async _loadDetail() {
+        this.detailState = 'loading';
 
-        this.lookupTexture = new THREE.CanvasTexture(this.lookupCanvas);
+        try {
+            const response = await fetch(CONFIG.data.countriesDetailUrl);
+            const topoData = await response.json();
+
+            const byId = state.get('countries.byId');
+            const byName = state.get('countries.byName');
+            const added = [];
+            // Country record for each 50m geometry, for the border index
+            const resolved = [];
+
+            // Convert one country per slice
+            await processInSlices(topoData.objects.countries.geometries, (object, index) => {
+                const feature = topojson.feature(topoData, object);
+                const name = (feature.properties?.name || '').toLowerCase();
+                const numericId = parseInt(feature.id, 10);
+                const existing = byId.get(numericId) || (Number.isNaN(numericId) ? byName.get(name) : null);
+
+                if (existing) {
+                    // Some territories share an ID with their country (Ashmore and Cartier Is.)
+                    existing.detailGeometry = existing.detailGeometry
+                        ? this._mergeGeometries(existing.detailGeometry, feature.geometry)
+                        : feature.geometry;
+                    existing.detailBounds = this._calculateBounds(existing.detailGeometry);
+                    resolved[index] = existing;
+                } else if (!Number.isNaN(numericId)) {
+                    // Microstates and small islands missing from the 110m file
+                    const country = this._createCountry(numericId, feature, index);
+                    country.detailGeometry = country.geometry;
+                    country.detailBounds = country.bounds;
+                    country.detailOnly = true;
+                    added.push(country);
+                    resolved[index] = country;
+                }
+            });
+
+            const allCountries = [...this.countryData, ...added];
+
+            this.detailBordersGroup = new THREE.Group();
+            this.detailBordersGroup.name = 'bordersDetail';
+            this.detailBordersGroup.visible = false;
+            await processInSlices(allCountries, country => {
+                this._addBorders(this.detailBordersGroup, country.detailGeometry || country.geometry);
+            });
+            sceneManager.scene.add(this.detailBordersGroup);
+
+            const { lookup } = CONFIG;
+            this.detailLookup = new LookupRaster({
+                width: lookup.detailWidth,
+                height: lookup.detailHeight,
+                tileSize: lookup.detailTileSize,
+                maxTiles: lookup.detailMaxTiles,
+                getGeometry: c => c.detailGeometry || c.geometry,
+                getBounds: c => c.detailBounds || c.bounds,
+                fallback: this.baseLookup
+            });
+            this.detailLookup.setCountries(allCountries);
+
+            if (added.length > 0) {
+                this._addCountries(added);
+            }
+
+            // The 50m borders add microstates and short borders lost at 110m
+            const neighbors = state.get('countries.neighbors');
+            this._addNeighbors(neighbors, topoData.objects.countries.geometries, resolved);
+            state.set('countries.neighbors', neighbors);
+
+            this.detailState = 'ready';
+        } catch (error) {
+            console.warn('Failed to load detailed country data:', error);
+            this.detailState = 'failed';
+        }
     }
 
     /**
-     * Convert country ID to unique color
+     * Add the borders shared in a topology to an index of neighbours
+     * (country ID -> Set of IDs)
+     * @param {Array} geometries - TopoJSON country geometries
+     * @param {Array} countries - Country record for each geometry, if any
      */
-    _idToColor(id) {
-        const r = (id & 0xFF0000) >> 16;
-        const g = (id & 0x00FF00) >> 8;
-        const b = id & 0x0000FF;
-        return `rgb(${r},${g},${b})`;
+    _addNeighbors(neighbors, geometries, countries) {
+        topojson.neighbors(geometries).forEach((indices, i) => {
+            const country = countries[i];
+            if (!country) return;
+
+            indices.forEach(j => {
+                const other = countries[j];
+                // Parts of one country can touch each other
+                if (!other || other.id === country.id) return;
+
+                if (!neighbors.has(country.id)) neighbors.set(country.id, new Set());
+                neighbors.get(country.id).add(other.id);
+            });
+        });
+        return neighbors;
     }
 
     /**
-     * Convert color back to country ID
+     * Combine two Polygon/MultiPolygon geometries
      */
-    _colorToId(r, g, b) {
-        return (r << 16) | (g << 8) | b;
+    _mergeGeometries(a, b) {
+        const polygons = g => g.type === 'Polygon' ? [g.coordinates] : g.coordinates;
+        return { type: 'MultiPolygon', coordinates: [...polygons(a), ...polygons(b)] };
     }
 
     /**
-     * Draw geometry to canvas
+     * Register countries that only exist in the detailed dataset
      */
-    _drawGeometry(ctx, geometry, size) {
-        const project = ([lon, lat]) => {
-            const x = ((lon + 180) / 360) * size;
-            const y = ((90 - lat) / 180) * size;
-            return [x, y];
-        };
+    _addCountries(countries) {
+        const byId = state.get('countries.byId');
+        const byName = state.get('countries.byName');
+        const byIso = state.get('countries.byIso');
+
+        // A new array, so caches keyed on the country list refresh
+        this.countryData = [...this.countryData, ...countries];
+        countries.forEach(country => {
+            byId.set(country.id, country);
+            byName.set(country.name.toLowerCase(), country);
+            this._indexIso(byIso, country);
+        });
 
-        const drawRing = (ring) => {
-            ctx.beginPath();
-            ring.forEach(([lon, lat], i) => {
-                const [x, y] = project([lon, lat]);
-                if (i === 0) ctx.moveTo(x, y);
-                else ctx.lineTo(x, y);
-            });
-            ctx.closePath();
-            ctx.fill();
-        };
+        // Draw them into the base raster too so they stay clickable when zoomed out
+        this.baseLookup.addCountries(countries);
+        this.lookupTexture.needsUpdate = true;
 
-        const drawPolygon = (coords) => {
-            coords.forEach((ring, i) => {
-                if (i === 0) drawRing(ring); // Outer ring
-            });
-        };
+        state.update({
+            'countries.byId': byId,
+            'countries.byName': byName,
+            'countries.byIso': byIso,
+            'countries.data': this.countryData
+        });
+    }
 
-        if (geometry.type === 'Polygon') {
-            drawPolygon(geometry.coordinates);
-        } else if (geometry.type === 'MultiPolygon') {
-            geometry.coordinates.forEach(polygon => drawPolygon(polygon));
+    /**
+     * Switch between 110m and 50m data based on camera distance
+     */
+    _updateResolution() {
+        const distance = sceneManager.camera.position.length();
+        const { lookup } = CONFIG;
+
+        if (this.detailState === 'idle' && distance < lookup.prefetchDistance) {
+            this.loadDetail();
+        }
+        if (this.detailState !== 'ready') return;
+
+        const wantDetail = this.useDetail
+            ? distance < lookup.detailDistance + lookup.hysteresis
+            : distance < lookup.detailDistance;
+
+        if (wantDetail !== this.useDetail) {
+            this._setDetail(wantDetail);
+        }
+
+        if (this.useDetail) {
+            this._prefetchVisibleTiles();
         }
     }
 
+    /**
+     * Toggle 50m borders, lookup and highlight geometry
+     */
+    _setDetail(enabled) {
+        this.useDetail = enabled;
+        this._applyBorderVisibility();
+        state.set('countries.resolution', enabled ? '50m' : '110m');
+
+        // Rebuild the highlight at the new resolution
+        const highlighted = state.get('countries.highlighted');
+        if (highlighted !== null) {
+            this.highlight(highlighted, this.highlightOptions);
+        }
+    }
+
+    /**
+     * Draw detail tiles around the point under the camera during idle time
+     */
+    _prefetchVisibleTiles() {
+        const now = performance.now();
+        if (now - this.lastPrefetch < 500) return;
+        this.lastPrefetch = now;
+
+        const { lat, lon } = globeRenderer.pointToLatLon(sceneManager.camera.position);
+        this.detailLookup.prefetch(lat, lon, 1);
+    }
+
+    /**
+     * Lookup raster matching the current zoom
+     */
+    _activeLookup() {
+        return this.useDetail && this.detailLookup ? this.detailLookup : this.baseLookup;
+    }
+
+    /**
+     * Geometry matching the current zoom
+     */
+    _displayGeometry(country) {
+        return this.useDetail && country.detailGeometry ? country.detailGeometry : country.geometry;
+    }
+
     /**
      * Get country at UV coordinates
+     * Misses are retried within a screen-space tolerance around the cursor,
+     * then against the nearest coastline within a great-circle radius
+     * @param {Object} uv - Globe texture coordinates
+     * @param {Object} options - Optional { tolerance, nearestKm } overrides
      */
-    getCountryAtUV(uv) {
-        if (!this.lookupCanvas) return null;
+    getCountryAtUV(uv, options = {}) {
+        const raster = this._activeLookup();
+        if (!raster) return null;
 
-        const x = Math.floor(uv.x * this.lookupCanvas.width);
-        const y = Math.floor((1 - uv.y) * this.lookupCanvas.height);
-        const ctx = this.lookupCanvas.getContext('2d');
-        const pixel = ctx.getImageData(x, y, 1, 1).data;
+        const x = Math.floor(uv.x * raster.width);
+        const y = Math.floor((1 - uv.y) * raster.height);
 
-        if (pixel[0] === 0 && pixel[1] === 0 && pixel[2] === 0) {
-            return null;
-        }
+        const direct = this._countryAtPixel(raster, x, y);
+        if (direct) return direct;
 
-        const id = this._colorToId(pixel[0], pixel[1], pixel[2]);
+        const lat = uv.y * 180 - 90;
+        const lon = uv.x * 360 - 180;
+
+        const tolerance = options.tolerance ?? CONFIG.interaction.pickTolerance;
+        const nearby = tolerance > 0 ? this._searchNearby(raster, x, y, lat, tolerance) : null;
+        if (nearby) return nearby;
+
+        const nearestKm = options.nearestKm ?? CONFIG.interaction.nearestRadiusKm;
+        return nearestKm > 0 ? this.getNearestCountry(lat, lon, nearestKm) : null;
+    }
+
+    /**
+     * Country encoded at a lookup texel
+     */
+    _countryAtPixel(raster, x, y) {
+        const id = raster.idAtPixel(x, y);
+        if (id === 0) return null;
+
+        // Anti-aliased edges blend colours into IDs that don't exist
         return state.get('countries.byId').get(id) || null;
     }
 
+    /**
+     * Find the closest country pixel within the pick tolerance
+     */
+    _searchNearby(raster, x, y, lat, tolerance) {
+        const { rx, ry } = this._lookupRadius(raster, tolerance, lat);
+        const maxX = Math.ceil(rx);
+        const maxY = Math.ceil(ry);
+
+        let best = null;
+        let bestDistance = Infinity;
+
+        for (let dy = -maxY; dy <= maxY; dy++) {
+            for (let dx = -maxX; dx <= maxX; dx++) {
+                const distance = (dx / rx) ** 2 + (dy / ry) ** 2;
+                if (distance > 1 || distance >= bestDistance) continue;
+
+                const country = this._countryAtPixel(raster, x + dx, y + dy);
+                if (country) {
+                    best = country;
+                    bestDistance = distance;
+                }
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Convert a screen-space tolerance to lookup texels at the current zoom.
+     * The equirectangular lookup stretches longitude by 1/cos(lat).
+     */
+    _lookupRadius(raster, screenPixels, lat) {
+        const camera = sceneManager.camera;
+        const altitude = Math.max(camera.position.length() - CONFIG.globe.radius, 0.001);
+        const viewHeight = 2 * altitude * Math.tan((camera.fov * Math.PI / 180) / 2);
+        const radians = (screenPixels * viewHeight / window.innerHeight) / CONFIG.globe.radius;
+
+        const { width, height } = raster;
+        const cap = CONFIG.interaction.maxSearchRadius;
+        const cosLat = Math.max(Math.cos(lat * Math.PI / 180), 0.05);
+
+        return {
+            rx: Math.min(Math.max(radians * width / (2 * Math.PI) / cosLat, 1), cap),
+            ry: Math.min(Math.max(radians * height / Math.PI, 1), cap)
+        };
+    }
+
+    /**
+     * Nearest country to a point by great-circle distance to its outline
+     * @param {number} maxKm - Search radius in km
+     */
+    getNearestCountry(lat, lon, maxKm = CONFIG.interaction.nearestRadiusKm) {
+        let nearest = null;
+        let nearestKm = maxKm;
+
+        this.countryData.forEach(country => {
+            if (!isNearBounds(lat, lon, country.bounds, nearestKm)) return;
+
+            const km = distanceToGeometryKm(lat, lon, country.geometry);
+            if (km <= nearestKm) {
+                nearest = country;
+                nearestKm = km;
+            }
+        });
+
+        return nearest;
+    }
+
     /**
      * Highlight a country
      */
-    highlight(countryId) {
+    highlight(countryId, options = {}) {
         // Clear previous highlight
         this.clearHighlight();
 
@@ -303,9 +592,64 @@ class CountryRenderer {
         if (!country) return;
 
         state.set('countries.highlighted', countryId);
+        this.highlightOptions = options;
+
+        this.highlightMesh = this._createHighlightMesh(country);
+        sceneManager.scene.add(this.highlightMesh);
 
-        // Create highlight mesh
-        // TODO: Create filled polygon mesh for highlighting
+        const showFlag = options.flag ?? CONFIG.highlight.showFlag;
+        if (showFlag && country.iso2) {
+            this._drapeFlag(this.highlightMesh, country);
+        }
+    }
+
+    /**
+     * Create a translucent filled cap for a country. UVs fit a flag over
+     * each polygon part so one can be draped on later.
+     */
+    _createHighlightMesh(country) {
+        const geometry = createPolygonGeometry(
+            this._displayGeometry(country),
+            CONFIG.globe.radius * CONFIG.highlight.altitude,
+            CONFIG.highlight.maxEdgeDegrees,
+            { uvAspect: CONFIG.highlight.flagAspect }
+        );
+
+        const material = new THREE.MeshBasicMaterial({
+            color: this._themeAccent(),
+            transparent: true,
+            opacity: CONFIG.highlight.opacity,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.name = 'highlight';
+        mesh.renderOrder = 1; // Draw after the globe and borders
+        return mesh;
+    }
+
+    /**
+     * Swap a highlight's plain colour for the country's flag once it has loaded
+     */
+    _drapeFlag(mesh, country) {
+        flags.getTexture(country.iso2).then(texture => {
+            // The highlight may have moved on while the flag loaded
+            if (this.highlightMesh !== mesh) return;
+
+            mesh.material.map = texture;
+            mesh.material.color.set(0xffffff);
+            mesh.material.opacity = CONFIG.highlight.flagOpacity;
+            mesh.material.needsUpdate = true;
+        }).catch(error => console.warn(error.message));
+    }
+
+    /**
+     * Current theme accent colour
+     */
+    _themeAccent() {
+        const theme = CONFIG.themes[state.get('theme')] || CONFIG.themes.cyber;
+        return new THREE.Color(theme.accentColor);
     }
 
     /**
@@ -315,6 +659,8 @@ class CountryRenderer {
         state.set('countries.highlighted', null);
         if (this.highlightMesh) {
             sceneManager.scene.remove(this.highlightMesh);
+            this.highlightMesh.geometry.dispose();
+            this.highlightMesh.material.dispose();
             this.highlightMesh = null;
         }
     }
@@ -328,12 +674,32 @@ class CountryRenderer {
         state.set('countries.found', found);
     }
 
+    /**
+     * Mark country as missed (answered wrongly)
+     */
+    markMissed(countryId) {
+        const missed = state.get('countries.missed');
+        missed.add(countryId);
+        state.set('countries.missed', missed);
+    }
+
     /**
      * Set border visibility
      */
     setBordersVisible(visible) {
+        this.bordersVisible = visible;
+        this._applyBorderVisibility();
+    }
+
+    /**
+     * Show the border group matching the current resolution
+     */
+    _applyBorderVisibility() {
         if (this.bordersGroup) {
-            this.bordersGroup.visible = visible;
+            this.bordersGroup.visible = this.bordersVisible && !this.useDetail;
+        }
+        if (this.detailBordersGroup) {
+            this.detailBordersGroup.visible = this.bordersVisible && this.useDetail;
         }
     }
 
@@ -341,40 +707,62 @@ class CountryRenderer {
      * Update border color based on theme
      */
     updateBorderColor(color) {
-        if (this.bordersGroup) {
-            this.bordersGroup.traverse(child => {
-                if (child.material) {
-                    child.material.color.set(color);
-                }
-            });
+        // Both resolutions share one material
+        if (this.borderMaterial) {
+            this.borderMaterial.color.set(color);
         }
     }
 
     /**
      * Fly to country
+     * @returns {Promise<boolean>} Resolves when the camera arrives (false if cancelled)
      */
     flyToCountry(countryId) {
         const country = state.get('countries.byId').get(countryId);
-        if (!country) return;
+        if (!country) return Promise.resolve(false);
+
+        return sceneManager.flyToBounds(country.bounds, {
+            center: country.anchor,
+            radius: country.extent
+        });
+    }
+
+    /**
+     * Fly to frame several countries, centred on the first unless a centre is given
+     * @param {Object} options
+     * @param {Object} options.center - { lat, lon } to centre on
+     * @returns {Promise<boolean>} Resolves when the camera arrives (false if cancelled)
+     */
+    flyToCountries(countryIds, options = {}) {
+        const byId = state.get('countries.byId');
+        const countries = countryIds.map(id => byId.get(id)).filter(Boolean);
+        if (countries.length === 0) return Promise.resolve(false);
+
+        const center = options.center || countries[0].anchor;
+        const radius = Math.max(...countries.map(country => country.extent +
+            angularDistance(center.lat, center.lon, country.anchor.lat, country.anchor.lon) * 180 / Math.PI));
 
-        sceneManager.flyTo(country.centroid.lat, country.centroid.lon);
+        return sceneManager.flyToBounds(countries[0].bounds, { center, radius });
     }
 
     /**
      * Cleanup
      */
     dispose() {
-        if (this.bordersGroup) {
-            this.bordersGroup.traverse(child => {
+        [this.bordersGroup, this.detailBordersGroup].forEach(group => {
+            if (!group) return;
+            group.traverse(child => {
                 if (child.geometry) child.geometry.dispose();
-                if (child.material) child.material.dispose();
             });
-            sceneManager.scene.remove(this.bordersGroup);
-        }
+            sceneManager.scene.remove(group);
+        });
+        this.borderMaterial?.dispose();
 
-        if (this.highlightMesh) {
-            sceneManager.scene.remove(this.highlightMesh);
-        }
+        this.baseLookup?.clear();
+        this.detailLookup?.clear();
+
+        this.clearHighlight();
+        statusOverlay.dispose();
 
         if (this.lookupTexture) {
             this.lookupTexture.dispose();
@@ -131,8 +131,8 @@ class GlobeRenderer {
             const theta = Math.atan2(z, x);
             const phi = Math.acos(y / CONFIG.globe.radius);
 
-            // Map to UV (equirectangular projection)
-            uvs[i * 2] = 0.5 + theta / (2 * Math.PI);
+            // Map to UV (equirectangular projection, matching latLonToPoint)
+            uvs[i * 2] = 0.5 - theta / (2 * Math.PI);
             uvs[i * 2 + 1] = 1 - phi / Math.PI;
         }
 
@@ -282,10 +282,20 @@ class GlobeRenderer {
     pointToLatLon(point) {
         const normalized = point.clone().normalize();
         const lat = 90 - Math.acos(normalized.y) * (180 / Math.PI);
-        const lon = Math.atan2(normalized.z, -normalized.x) * (180 / Math.PI);
+        const lon = Math.atan2(-normalized.z, normalized.x) * (180 / Math.PI);
         return { lat, lon };
     }
 
+    /**
+     * Get lookup-texture UV from a point on the globe.
+     * Derived from the position rather than interpolated mesh UVs,
+     * which are wrong on faces that straddle the antimeridian seam.
+     */
+    pointToUV(point) {
+        const { lat, lon } = this.pointToLatLon(point);
+        return new THREE.Vector2((lon + 180) / 360, (lat + 90) / 180);
+    }
+
     /**
      * Cleanup
      */
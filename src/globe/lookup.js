@@ -0,0 +1,282 @@
+/**
+ * Globe Map Quiz - Country Lookup Raster
+ * Equirectangular country-ID rasters, split into lazily drawn tiles
+ */
+
+import { whenIdle } from '../utils/scheduler.js';
+import { splitRing, boundsOverlapLon } from '../utils/geo.js';
+
+/**
+ * Convert country ID to unique color
+ */
+export function idToColor(id) {
+    const r = (id & 0xFF0000) >> 16;
+    const g = (id & 0x00FF00) >> 8;
+    const b = id & 0x0000FF;
+    return `rgb(${r},${g},${b})`;
+}
+
+/**
+ * Convert color back to country ID
+ */
+export function colorToId(r, g, b) {
+    return (r << 16) | (g << 8) | b;
+}
+
+/**
+ * Fill a GeoJSON geometry on a context whose transform maps
+ * x = lon + 180, y = 90 - lat. Rings are split at the antimeridian and
+ * closed around the poles; holes are cut with the even-odd rule.
+ */
+function drawGeometry(ctx, geometry) {
+    const drawPolygon = (rings) => {
+        ctx.beginPath();
+        rings.forEach(ring => {
+            splitRing(ring).forEach(piece => {
+                piece.forEach(([lon, lat], i) => {
+                    if (i === 0) ctx.moveTo(lon + 180, 90 - lat);
+                    else ctx.lineTo(lon + 180, 90 - lat);
+                });
+                ctx.closePath();
+            });
+        });
+        ctx.fill('evenodd');
+    };
+
+    if (geometry.type === 'Polygon') {
+        drawPolygon(geometry.coordinates);
+    } else if (geometry.type === 'MultiPolygon') {
+        geometry.coordinates.forEach(polygon => drawPolygon(polygon));
+    }
+}
+
+export class LookupRaster {
+    /**
+     * @param {Object} options
+     * @param {number} options.width - Full raster width in texels (360°)
+     * @param {number} options.height - Full raster height in texels (180°)
+     * @param {number} options.tileSize - Tile edge in texels
+     * @param {number} options.maxTiles - Tiles kept in memory, least recently used are dropped
+     * @param {boolean} options.keepCanvas - Keep tile canvases (needed to use a tile as a texture)
+     * @param {Function} options.getGeometry - Picks the geometry to draw for a country
+     * @param {Function} options.getBounds - Bounds matching getGeometry, used for tile culling
+     * @param {LookupRaster} options.fallback - Answers for tiles not drawn yet, which are then
+     *     queued for idle time; without one, missing tiles are drawn on the spot
+     */
+    constructor({
+        width, height, tileSize, maxTiles = Infinity, keepCanvas = false,
+        getGeometry = c => c.geometry, getBounds = c => c.bounds, fallback = null
+    }) {
+        this.width = width;
+        this.height = height;
+        this.tileSize = tileSize;
+        this.maxTiles = maxTiles;
+        this.keepCanvas = keepCanvas;
+        this.getGeometry = getGeometry;
+        this.getBounds = getBounds;
+        this.fallback = fallback;
+        this.countries = [];
+        this.tiles = new Map();
+        // Last tile read by idAtPixel, so runs of lookups skip the LRU refresh
+        this.lastKey = null;
+        this.lastTile = null;
+        this.queue = [];
+        this.queueScheduled = false;
+    }
+
+    get columns() {
+        return Math.ceil(this.width / this.tileSize);
+    }
+
+    get rows() {
+        return Math.ceil(this.height / this.tileSize);
+    }
+
+    /**
+     * Replace the countries drawn into the raster
+     */
+    setCountries(countries) {
+        this.countries = [...countries];
+        this.clear();
+    }
+
+    /**
+     * Draw additional countries into the raster, updating cached tiles in place
+     */
+    addCountries(countries) {
+        this.countries.push(...countries);
+        this.lastKey = null;
+        this.tiles.forEach((tile, key) => {
+            const [tx, ty] = key.split(',').map(Number);
+            const ctx = tile.canvas ? tile.canvas.getContext('2d') : null;
+            if (!ctx) {
+                // Canvas was released; redraw the tile on next use
+                this.tiles.delete(key);
+                return;
+            }
+            this._drawCountries(ctx, tx, ty, countries);
+            tile.data = ctx.getImageData(0, 0, this.tileSize, this.tileSize).data;
+        });
+    }
+
+    /**
+     * Get (drawing if needed) a tile
+     */
+    getTile(tx, ty) {
+        const key = `${tx},${ty}`;
+        let tile = this.tiles.get(key);
+
+        if (tile) {
+            // Refresh LRU order
+            this.tiles.delete(key);
+        } else {
+            tile = this._rasterise(tx, ty);
+        }
+
+        this.tiles.set(key, tile);
+        while (this.tiles.size > this.maxTiles) {
+            this.tiles.delete(this.tiles.keys().next().value);
+        }
+
+        return tile;
+    }
+
+    /**
+     * Country ID at a texel (0 = none); x wraps around the antimeridian
+     */
+    idAtPixel(x, y) {
+        const px = ((x % this.width) + this.width) % this.width;
+        const py = Math.max(0, Math.min(this.height - 1, y));
+        const tx = Math.floor(px / this.tileSize);
+        const ty = Math.floor(py / this.tileSize);
+        const key = `${tx},${ty}`;
+
+        if (key !== this.lastKey) {
+            if (this.fallback && !this.tiles.has(key)) {
+                // Don't draw a tile inside a pointer handler; answer coarsely until it's ready
+                this._enqueue(key, true);
+                return this.fallback.idAtPixel(
+                    Math.floor(px * this.fallback.width / this.width),
+                    Math.floor(py * this.fallback.height / this.height)
+                );
+            }
+            this.lastTile = this.getTile(tx, ty);
+            this.lastKey = key;
+        }
+
+        const tile = this.lastTile;
+        const idx = ((py - ty * this.tileSize) * this.tileSize + (px - tx * this.tileSize)) * 4;
+        return colorToId(tile.data[idx], tile.data[idx + 1], tile.data[idx + 2]);
+    }
+
+    /**
+     * Queue tiles around a point to be drawn during idle time
+     * @param {number} radius - Neighbouring tiles to include on each side
+     */
+    prefetch(lat, lon, radius = 1) {
+        const cx = Math.floor(((lon + 180) / 360) * this.columns);
+        const cy = Math.floor(((90 - lat) / 180) * this.rows);
+
+        for (let dy = -radius; dy <= radius; dy++) {
+            const ty = cy + dy;
+            if (ty < 0 || ty >= this.rows) continue;
+            for (let dx = -radius; dx <= radius; dx++) {
+                const tx = ((cx + dx) % this.columns + this.columns) % this.columns;
+                this._enqueue(`${tx},${ty}`);
+            }
+        }
+    }
+
+    /**
+     * Queue a tile to be drawn during idle time
+     * @param {boolean} urgent - Draw it before tiles that were only prefetched
+     */
+    _enqueue(key, urgent = false) {
+        if (this.tiles.has(key)) return;
+
+        const queued = this.queue.indexOf(key);
+        if (queued === -1 || (urgent && queued > 0)) {
+            if (queued !== -1) this.queue.splice(queued, 1);
+            if (urgent) this.queue.unshift(key);
+            else this.queue.push(key);
+        }
+
+        this._processQueue();
+    }
+
+    /**
+     * Draw queued tiles one per idle slice
+     */
+    _processQueue() {
+        if (this.queueScheduled || this.queue.length === 0) return;
+        this.queueScheduled = true;
+
+        whenIdle(() => {
+            this.queueScheduled = false;
+            const key = this.queue.shift();
+            if (key && !this.tiles.has(key)) {
+                const [tx, ty] = key.split(',').map(Number);
+                this.getTile(tx, ty);
+            }
+            this._processQueue();
+        });
+    }
+
+    /**
+     * Rasterise one tile
+     */
+    _rasterise(tx, ty) {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.tileSize;
+        canvas.height = this.tileSize;
+        const ctx = canvas.getContext('2d');
+
+        // Fill with black (no country)
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, this.tileSize, this.tileSize);
+
+        this._drawCountries(ctx, tx, ty, this.countries);
+
+        const data = ctx.getImageData(0, 0, this.tileSize, this.tileSize).data;
+        return { canvas: this.keepCanvas ? canvas : null, data };
+    }
+
+    /**
+     * Draw the countries that overlap a tile
+     */
+    _drawCountries(ctx, tx, ty, countries) {
+        const scaleX = this.width / 360;
+        const scaleY = this.height / 180;
+
+        // Tile extent in degrees
+        const minLon = (tx * this.tileSize) / scaleX - 180;
+        const maxLon = ((tx + 1) * this.tileSize) / scaleX - 180;
+        const maxLat = 90 - (ty * this.tileSize) / scaleY;
+        const minLat = 90 - ((ty + 1) * this.tileSize) / scaleY;
+
+        ctx.save();
+        ctx.setTransform(scaleX, 0, 0, scaleY, -tx * this.tileSize, -ty * this.tileSize);
+
+        countries.forEach(country => {
+            const b = this.getBounds(country);
+            if (b.maxLat < minLat || b.minLat > maxLat || !boundsOverlapLon(b, minLon, maxLon)) return;
+
+            ctx.fillStyle = idToColor(country.id);
+            drawGeometry(ctx, this.getGeometry(country));
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * Drop all tiles and pending work
+     */
+    clear() {
+        this.tiles.clear();
+        this.queue = [];
+        this.lastKey = null;
+        this.lastTile = null;
+    }
+}
+
+export default LookupRaster;
@@ -0,0 +1,146 @@
+/**
+ * Globe Map Quiz - Markers
+ * Pins, great-circle lines and labels placed on the globe surface
+ */
+
+import { CONFIG } from '../core/config.js';
+import { sceneManager } from '../core/scene.js';
+import { globeRenderer } from './globe.js';
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+class MarkerRenderer {
+    constructor() {
+        this.group = null;
+    }
+
+    /**
+     * Group holding every marker, added to the scene on first use
+     */
+    _getGroup() {
+        if (!this.group) {
+            this.group = new THREE.Group();
+            this.group.name = 'markers';
+            sceneManager.scene.add(this.group);
+        }
+        return this.group;
+    }
+
+    /**
+     * Place a pin standing out of the surface at a location
+     * @returns {THREE.Group}
+     */
+    addPin(lat, lon, color = CONFIG.markers.pinColor) {
+        const { pinHeight, pinRadius } = CONFIG.markers;
+        const material = new THREE.MeshBasicMaterial({ color });
+
+        const stem = new THREE.Mesh(
+            new THREE.CylinderGeometry(pinRadius * 0.3, pinRadius * 0.3, pinHeight, 6),
+            material
+        );
+        stem.position.y = pinHeight / 2;
+
+        const head = new THREE.Mesh(new THREE.SphereGeometry(pinRadius, 12, 8), material);
+        head.position.y = pinHeight;
+
+        const pin = new THREE.Group();
+        pin.add(stem, head);
+
+        // Stand the pin along the surface normal
+        const base = globeRenderer.latLonToPoint(lat, lon);
+        pin.position.copy(base);
+        pin.quaternion.setFromUnitVectors(UP, base.clone().normalize());
+
+        this._getGroup().add(pin);
+        return pin;
+    }
+
+    /**
+     * Draw a great-circle line between two locations, raised slightly
+     * towards its middle so it stays clear of the terrain
+     * @param {{lat: number, lon: number}} from
+     * @param {{lat: number, lon: number}} to
+     * @returns {THREE.Line|null}
+     */
+    addLine(from, to, color = CONFIG.markers.lineColor) {
+        const a = globeRenderer.latLonToPoint(from.lat, from.lon).normalize();
+        const b = globeRenderer.latLonToPoint(to.lat, to.lon).normalize();
+        const angle = a.angleTo(b);
+        if (angle < 1e-6 || Math.PI - angle < 1e-6) return null;
+
+        const { altitude, lineLift, lineStepDegrees } = CONFIG.markers;
+        const segments = Math.max(2, Math.ceil(angle / (lineStepDegrees * Math.PI / 180)));
+        const sinAngle = Math.sin(angle);
+        const points = [];
+
+        for (let i = 0; i <= segments; i++) {
+            const t = i / segments;
+            const point = a.clone().multiplyScalar(Math.sin((1 - t) * angle) / sinAngle)
+                .add(b.clone().multiplyScalar(Math.sin(t * angle) / sinAngle));
+            const lift = altitude + lineLift * Math.sin(Math.PI * t) * angle / Math.PI;
+            points.push(point.multiplyScalar(CONFIG.globe.radius * lift));
+        }
+
+        const line = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineBasicMaterial({ color })
+        );
+        this._getGroup().add(line);
+        return line;
+    }
+
+    /**
+     * Place a text label floating just above a location
+     * @returns {THREE.Sprite}
+     */
+    addLabel(lat, lon, text) {
+        const { labelHeight, labelLift } = CONFIG.markers;
+        const fontSize = 48;
+        const padding = fontSize * 0.4;
+        const font = `600 ${fontSize}px sans-serif`;
+
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        ctx.font = font;
+        canvas.width = Math.ceil(ctx.measureText(text).width + padding * 2);
+        canvas.height = Math.ceil(fontSize + padding * 2);
+
+        // Resizing the canvas resets the context
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.font = font;
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.encoding = THREE.sRGBEncoding;
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true }));
+        sprite.scale.set(labelHeight * canvas.width / canvas.height, labelHeight, 1);
+        sprite.position.copy(globeRenderer.latLonToPoint(lat, lon)).multiplyScalar(1 + labelLift);
+        sprite.renderOrder = 2;
+
+        this._getGroup().add(sprite);
+        return sprite;
+    }
+
+    /**
+     * Remove every marker
+     */
+    clear() {
+        if (!this.group) return;
+
+        this.group.traverse(object => {
+            // Sprites share one geometry across the app
+            if (!object.isSprite) object.geometry?.dispose();
+            object.material?.map?.dispose();
+            object.material?.dispose();
+        });
+        this.group.clear();
+    }
+}
+
+// Singleton instance
+export const markers = new MarkerRenderer();
+export default markers;
@@ -0,0 +1,183 @@
+/**
+ * Globe Map Quiz - Polygon Mesh Builder
+ * Triangulates GeoJSON polygons into sphere-hugging filled geometry
+ */
+
+import { CONFIG } from '../core/config.js';
+import { closeRing, unwrapRing } from '../utils/geo.js';
+
+/**
+ * Convert lat/lon to a point on a sphere of the given radius
+ * (same convention as GlobeRenderer.latLonToPoint)
+ */
+function latLonToVector(lat, lon, radius) {
+    const phi = (90 - lat) * (Math.PI / 180);
+    const theta = (lon + 180) * (Math.PI / 180);
+
+    return new THREE.Vector3(
+        -radius * Math.sin(phi) * Math.cos(theta),
+        radius * Math.cos(phi),
+        radius * Math.sin(phi) * Math.sin(theta)
+    );
+}
+
+/**
+ * Triangulate one polygon (outer ring + holes) in lon/lat space.
+ * Rings around a pole are closed along it first.
+ * @returns {{ vertices: Array<[number, number]>, triangles: Array<[number, number, number]> }}
+ */
+function triangulatePolygon(rings) {
+    const outer = closeRing(rings[0]);
+    const reference = outer[0][0];
+    const holes = rings.slice(1).map(ring => unwrapRing(ring).map(([lon, lat]) => {
+        // Keep holes on the same side of the antimeridian as the outer ring
+        const shift = Math.round((reference - lon) / 360) * 360;
+        return [lon + shift, lat];
+    }));
+
+    const toVectors = ring => ring.map(([lon, lat]) => new THREE.Vector2(lon, lat));
+    const contour = toVectors(outer);
+    const holeVectors = holes.map(toVectors);
+
+    // triangulateShape strips duplicated closing points in place,
+    // so collect vertices afterwards to keep indices aligned
+    const faces = THREE.ShapeUtils.triangulateShape(contour, holeVectors);
+    const vertices = [contour, ...holeVectors].flat().map(v => [v.x, v.y]);
+
+    return { vertices, triangles: faces };
+}
+
+/**
+ * Texture coordinates that cover a polygon part's lon/lat box with an
+ * image of the given aspect (width / height), cropping the overflow
+ */
+function partUVs(vertices, imageAspect) {
+    let minLon = Infinity, maxLon = -Infinity, minLat = Infinity, maxLat = -Infinity;
+    vertices.forEach(([lon, lat]) => {
+        minLon = Math.min(minLon, lon);
+        maxLon = Math.max(maxLon, lon);
+        minLat = Math.min(minLat, lat);
+        maxLat = Math.max(maxLat, lat);
+    });
+
+    const width = Math.max(maxLon - minLon, 1e-6);
+    const height = Math.max(maxLat - minLat, 1e-6);
+
+    // Ground aspect of the box, allowing for longitude shrinking with latitude
+    const midLat = Math.max(-85, Math.min(85, (minLat + maxLat) / 2));
+    const boxAspect = (width * Math.cos(midLat * Math.PI / 180)) / height;
+    const scaleU = boxAspect > imageAspect ? 1 : boxAspect / imageAspect;
+    const scaleV = boxAspect > imageAspect ? imageAspect / boxAspect : 1;
+
+    return vertices.map(([lon, lat]) => [
+        0.5 + ((lon - minLon) / width - 0.5) * scaleU,
+        0.5 + ((lat - minLat) / height - 0.5) * scaleV
+    ]);
+}
+
+/**
+ * Split triangles until no edge is longer than maxEdge degrees.
+ * Whether an edge is split depends only on the edge itself, so
+ * neighbouring triangles always agree and no cracks appear.
+ */
+function subdivide(vertices, triangles, maxEdge) {
+    const midpoints = new Map();
+    const maxEdgeSq = maxEdge * maxEdge;
+
+    const isLong = (a, b) => {
+        const dLon = vertices[a][0] - vertices[b][0];
+        const dLat = vertices[a][1] - vertices[b][1];
+        return dLon * dLon + dLat * dLat > maxEdgeSq;
+    };
+
+    const midpoint = (a, b) => {
+        const key = a < b ? `${a},${b}` : `${b},${a}`;
+        if (!midpoints.has(key)) {
+            midpoints.set(key, vertices.length);
+            vertices.push([
+                (vertices[a][0] + vertices[b][0]) / 2,
+                (vertices[a][1] + vertices[b][1]) / 2
+            ]);
+        }
+        return midpoints.get(key);
+    };
+
+    const result = [];
+    const stack = [...triangles];
+
+    while (stack.length > 0) {
+        let [a, b, c] = stack.pop();
+        const split = [isLong(a, b), isLong(b, c), isLong(c, a)];
+        const count = split.filter(Boolean).length;
+
+        if (count === 0) {
+            result.push([a, b, c]);
+        } else if (count === 3) {
+            const ab = midpoint(a, b), bc = midpoint(b, c), ca = midpoint(c, a);
+            stack.push([a, ab, ca], [ab, b, bc], [ca, bc, c], [ab, bc, ca]);
+        } else if (count === 1) {
+            // Rotate so the long edge is a-b
+            if (split[1]) [a, b, c] = [b, c, a];
+            else if (split[2]) [a, b, c] = [c, a, b];
+            const ab = midpoint(a, b);
+            stack.push([a, ab, c], [ab, b, c]);
+        } else {
+            // Rotate so the short edge is c-a
+            if (!split[0]) [a, b, c] = [b, c, a];
+            else if (!split[1]) [a, b, c] = [c, a, b];
+            const ab = midpoint(a, b), bc = midpoint(b, c);
+            stack.push([ab, b, bc], [a, ab, bc], [a, bc, c]);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Build a filled BufferGeometry for a GeoJSON Polygon/MultiPolygon
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {number} radius - Sphere radius to project onto
+ * @param {number} maxEdge - Maximum edge length in degrees before subdividing
+ * @param {Object} options
+ * @param {number} options.uvAspect - If set, add UVs fitting an image of this
+ *   aspect (width / height) over each polygon part
+ */
+export function createPolygonGeometry(geometry, radius = CONFIG.globe.radius, maxEdge = CONFIG.highlight.maxEdgeDegrees, options = {}) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] :
+        geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+
+    const positions = [];
+    const uvs = [];
+
+    polygons.forEach(rings => {
+        if (!rings.length || rings[0].length < 3) return;
+
+        const { vertices, triangles } = triangulatePolygon(rings);
+        const faces = subdivide(vertices, triangles, maxEdge);
+        const partUV = options.uvAspect ? partUVs(vertices, options.uvAspect) : null;
+        const points = [];
+
+        faces.forEach(triangle => {
+            triangle.forEach(index => {
+                if (!points[index]) {
+                    const [lon, lat] = vertices[index];
+                    points[index] = latLonToVector(lat, lon, radius);
+                }
+                const p = points[index];
+                positions.push(p.x, p.y, p.z);
+                if (partUV) uvs.push(...partUV[index]);
+            });
+        });
+    });
+
+    const bufferGeometry = new THREE.BufferGeometry();
+    bufferGeometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    if (options.uvAspect) {
+        bufferGeometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    }
+    bufferGeometry.computeBoundingSphere();
+
+    return bufferGeometry;
+}
+
+export default createPolygonGeometry;
@@ -0,0 +1,193 @@
+/**
+ * Globe Map Quiz - Country Status Overlay
+ * Paints found and missed countries with a single shared shader mesh
+ */
+
+import { CONFIG } from '../core/config.js';
+import { state } from '../core/state.js';
+import { sceneManager } from '../core/scene.js';
+
+// Status texture width; country IDs index straight into it
+const STATUS_SIZE = 4096;
+
+const STATUS = {
+    NONE: 0,
+    FOUND: 1,
+    MISSED: 2
+};
+
+const vertexShader = `
+    varying vec3 vPosition;
+    void main() {
+        vPosition = position;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+// Lat/lon is derived from the fragment position rather than mesh UVs so the
+// lookup stays exact across the antimeridian seam
+const fragmentShader = `
+    #define PI 3.141592653589793
+    uniform sampler2D lookupMap;
+    uniform sampler2D statusMap;
+    uniform float statusSize;
+    uniform vec3 foundColor;
+    uniform vec3 missedColor;
+    uniform float opacity;
+    varying vec3 vPosition;
+
+    void main() {
+        vec3 p = normalize(vPosition);
+        vec2 uv = vec2(atan(-p.z, p.x) / (2.0 * PI) + 0.5, asin(p.y) / PI + 0.5);
+
+        vec3 c = floor(texture2D(lookupMap, uv).rgb * 255.0 + 0.5);
+        float id = c.r * 65536.0 + c.g * 256.0 + c.b;
+        if (id < 0.5 || id >= statusSize) discard;
+
+        float status = floor(texture2D(statusMap, vec2((id + 0.5) / statusSize, 0.5)).r * 255.0 + 0.5);
+        if (status < 0.5) discard;
+
+        gl_FragColor = vec4(status < 1.5 ? foundColor : missedColor, opacity);
+    }
+`;
+
+class StatusOverlay {
+    constructor() {
+        this.mesh = null;
+        this.statusData = null;
+        this.statusTexture = null;
+        this.applied = new Map(); // countryId -> status currently in the texture
+    }
+
+    /**
+     * Create the overlay sphere
+     * @param {THREE.Texture} lookupTexture - Country ID lookup texture
+     */
+    create(lookupTexture) {
+        this.statusData = new Uint8Array(STATUS_SIZE * 4);
+        this.statusTexture = new THREE.DataTexture(this.statusData, STATUS_SIZE, 1, THREE.RGBAFormat);
+        this.statusTexture.magFilter = THREE.NearestFilter;
+        this.statusTexture.minFilter = THREE.NearestFilter;
+        this.statusTexture.needsUpdate = true;
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                lookupMap: { value: null },
+                statusMap: { value: this.statusTexture },
+                statusSize: { value: STATUS_SIZE },
+                foundColor: { value: new THREE.Color(CONFIG.overlay.foundColor) },
+                missedColor: { value: new THREE.Color(CONFIG.overlay.missedColor) },
+                opacity: { value: CONFIG.overlay.opacity }
+            },
+            vertexShader,
+            fragmentShader,
+            transparent: true,
+            depthWrite: false
+        });
+
+        const geometry = new THREE.SphereGeometry(
+            CONFIG.globe.radius * CONFIG.overlay.altitude,
+            128, 64
+        );
+
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.name = 'statusOverlay';
+        sceneManager.scene.add(this.mesh);
+
+        this.setLookupTexture(lookupTexture);
+
+        state.subscribe('countries.found', () => this.sync());
+        state.subscribe('countries.missed', () => this.sync());
+        this.sync();
+
+        return this.mesh;
+    }
+
+    /**
+     * Point the overlay at a (possibly rebuilt) lookup texture
+     */
+    setLookupTexture(texture) {
+        if (!this.mesh || !texture) return;
+
+        // IDs are encoded in exact colours, so never interpolate
+        texture.magFilter = THREE.NearestFilter;
+        texture.minFilter = THREE.NearestFilter;
+        texture.generateMipmaps = false;
+        texture.needsUpdate = true;
+
+        this.mesh.material.uniforms.lookupMap.value = texture;
+    }
+
+    /**
+     * Apply only the status changes since the last sync
+     */
+    sync() {
+        if (!this.statusData) return;
+
+        const found = state.get('countries.found');
+        const missed = state.get('countries.missed');
+        let changed = false;
+
+        const desired = new Map();
+        missed.forEach(id => desired.set(id, STATUS.MISSED));
+        found.forEach(id => desired.set(id, STATUS.FOUND));
+
+        this.applied.forEach((status, id) => {
+            if (!desired.has(id)) {
+                changed = this._write(id, STATUS.NONE) || changed;
+            }
+        });
+
+        desired.forEach((status, id) => {
+            if (this.applied.get(id) !== status) {
+                changed = this._write(id, status) || changed;
+            }
+        });
+
+        if (changed) {
+            this.statusTexture.needsUpdate = true;
+        }
+    }
+
+    /**
+     * Write one country's status into the texture
+     */
+    _write(id, status) {
+        if (id < 0 || id >= STATUS_SIZE) return false;
+
+        this.statusData[id * 4] = status;
+        if (status === STATUS.NONE) {
+            this.applied.delete(id);
+        } else {
+            this.applied.set(id, status);
+        }
+        return true;
+    }
+
+    /**
+     * Show or hide the overlay
+     */
+    setVisible(visible) {
+        if (this.mesh) this.mesh.visible = visible;
+    }
+
+    /**
+     * Cleanup
+     */
+    dispose() {
+        if (this.mesh) {
+            sceneManager.scene.remove(this.mesh);
+            this.mesh.geometry.dispose();
+            this.mesh.material.dispose();
+            this.mesh = null;
+        }
+        this.statusTexture?.dispose();
+        this.statusTexture = null;
+        this.statusData = null;
+        this.applied.clear();
+    }
+}
+
+// Singleton instance
+export const statusOverlay = new StatusOverlay();
+export default statusOverlay;
@@ -8,7 +8,10 @@ import { state } from './core/state.js';
 import { sceneManager } from './core/scene.js';
 import { globeRenderer } from './globe/globe.js';
 import { countryRenderer } from './globe/countries.js';
+import { uiController } from './ui/uiController.js';
+import { quizEngine } from './quiz/quizEngine.js';
 import { audio } from './utils/audio.js';
+import { parseHash } from './quiz/share.js';
 
 class App {
     constructor() {
@@ -45,6 +48,10 @@ class App {
             // Setup interaction handlers
             this._setupInteractions();
 
+            // Initialize UI and quiz engine
+            uiController.init();
+            quizEngine.init();
+
             // Apply saved theme
             this._applyTheme(state.get('theme'));
 
@@ -60,6 +67,10 @@ class App {
             this.initialized = true;
             state.set('initialized', true);
 
+            // Shared quiz and country links
+            this._openLink(location.hash);
+            window.addEventListener('hashchange', () => this._openLink(location.hash));
+
             console.log('Globe Map Quiz - Ready!');
 
         } catch (error) {
@@ -86,7 +97,7 @@ class App {
             const intersects = raycaster.intersectObject(globeRenderer.globe);
 
             if (intersects.length > 0) {
-                const uv = intersects[0].uv;
+                const uv = globeRenderer.pointToUV(intersects[0].point);
                 const country = countryRenderer.getCountryAtUV(uv);
 
                 if (country) {
@@ -107,12 +118,22 @@ class App {
             const intersects = raycaster.intersectObject(globeRenderer.globe);
 
             if (intersects.length > 0) {
-                const uv = intersects[0].uv;
+                const point = intersects[0].point;
+                const uv = globeRenderer.pointToUV(point);
                 const country = countryRenderer.getCountryAtUV(uv);
 
+                // Point answers take clicks anywhere, including the sea
+                if (state.get('quiz.active')) {
+                    window.dispatchEvent(new CustomEvent('globePointSelected', {
+                        detail: { ...globeRenderer.pointToLatLon(point), country }
+                    }));
+                }
+
                 if (country) {
                     audio.play('select');
                     this._onCountryClick(country);
+                } else if (!state.get('quiz.active')) {
+                    uiController.hideCountryInfo();
                 }
             }
         });
@@ -132,7 +153,36 @@ class App {
         } else {
             // Just highlight and show info
             countryRenderer.highlight(country.id);
+            uiController.showCountryInfo(country);
+        }
+    }
+
+    /**
+     * Follow a link hash: open a shared quiz, or fly to a country (#country=FRA)
+     */
+    async _openLink(hash) {
+        const link = parseHash(hash);
+        if (!link || state.get('quiz.active')) return;
+
+        if (link.quiz) {
+            uiController.openSharedQuiz(link.quiz);
+            return;
         }
+
+        // Microstates only come with the detailed data
+        let country = state.get('countries.byIso').get(link.country);
+        if (!country) {
+            await countryRenderer.loadDetail();
+            country = state.get('countries.byIso').get(link.country);
+        }
+        if (!country) {
+            console.warn('Unknown country in link:', link.country);
+            return;
+        }
+
+        countryRenderer.highlight(country.id);
+        countryRenderer.flyToCountry(country.id);
+        uiController.showCountryInfo(country);
     }
 
     /**
@@ -0,0 +1,152 @@
+/**
+ * Globe Map Quiz - Answer Matcher
+ * Resolves typed country names, tolerating accents, aliases and typos
+ */
+
+import { CONFIG } from '../core/config.js';
+import { state } from '../core/state.js';
+import { ABBREVIATIONS, ALIASES, CAPITAL_ALIASES } from '../data/countryAliases.js';
+
+// Names a country can be answered by, per kind of question
+const NAME_FIELDS = {
+    name: country => [country.name, ...(ALIASES[country.name] || [])],
+    capital: ({ capital }) => capital ? [capital.name, ...(CAPITAL_ALIASES[capital.name] || [])] : []
+};
+
+/**
+ * Reduce a name to comparable form: no accents, case, punctuation or
+ * spacing, with abbreviations expanded ("St. Lucia" -> "saintlucia")
+ */
+export function normalizeName(text) {
+    return text
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .split(/[^a-z0-9]+/)
+        .filter(word => word && word !== 'the')
+        .map(word => ABBREVIATIONS[word] || word)
+        .join('');
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and
+ * transpositions of adjacent letters (optimal string alignment)
+ */
+export function damerauLevenshtein(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+    }
+    for (let j = 1; j <= b.length; j++) {
+        rows[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let d = Math.min(
+                rows[i - 1][j] + 1,
+                rows[i][j - 1] + 1,
+                rows[i - 1][j - 1] + cost
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d = Math.min(d, rows[i - 2][j - 2] + 1);
+            }
+            rows[i][j] = d;
+        }
+    }
+
+    return rows[a.length][b.length];
+}
+
+/**
+ * Typos allowed in a normalized name of this length
+ */
+export function typoTolerance(length) {
+    const { charsPerTypo, maxTypos } = CONFIG.answers;
+    return Math.min(maxTypos, Math.floor(length / charsPerTypo));
+}
+
+class AnswerMatcher {
+    constructor() {
+        this.countries = null;
+        this.entries = new Map(); // field -> [{ country, names: string[] }]
+    }
+
+    /**
+     * Every normalized name a country is accepted under
+     * @param {string} field - 'name' for the country, 'capital' for its capital
+     */
+    namesFor(country, field = 'name') {
+        const names = NAME_FIELDS[field](country).map(normalizeName);
+        return [...new Set(names)].filter(Boolean);
+    }
+
+    /**
+     * Judge a typed answer against the current question's country
+     * @param {string} field - 'name' for the country, 'capital' for its capital
+     * @returns {{ verdict: 'correct'|'close'|'wrong', country: Object|null }}
+     *   country is the one the answer was taken to mean, if any
+     */
+    match(text, target, field = 'name') {
+        const input = normalizeName(text);
+        if (!input) return { verdict: 'wrong', country: null };
+
+        // Closest other country, so a typo of one name never counts for another
+        let nearest = null;
+        let nearestScore = Infinity;
+        let nearestDistance = Infinity;
+        let targetDistance = Infinity;
+        let targetScore = Infinity;
+
+        this._getEntries(field).forEach(({ country, names }) => {
+            names.forEach(name => {
+                const distance = damerauLevenshtein(input, name);
+                // Distance relative to what the name allows, for comparing candidates
+                const score = distance - typoTolerance(name.length);
+
+                if (country.id === target.id) {
+                    targetDistance = Math.min(targetDistance, distance);
+                    targetScore = Math.min(targetScore, score);
+                } else if (distance < nearestDistance ||
+                    (distance === nearestDistance && score < nearestScore)) {
+                    nearest = country;
+                    nearestDistance = distance;
+                    nearestScore = score;
+                }
+            });
+        });
+
+        if (targetDistance === 0) return { verdict: 'correct', country: target };
+        if (nearestDistance === 0) return { verdict: 'wrong', country: nearest };
+
+        if (targetDistance < nearestDistance && targetScore <= 0) {
+            return { verdict: 'correct', country: target };
+        }
+        // Also "close" when another name is just as near, rather than guessing
+        if (targetDistance <= nearestDistance && targetScore <= CONFIG.answers.closeMargin) {
+            return { verdict: 'close', country: target };
+        }
+
+        return { verdict: 'wrong', country: nearestScore <= 0 ? nearest : null };
+    }
+
+    /**
+     * Normalized names of a field for the loaded countries, rebuilt when the set changes
+     */
+    _getEntries(field) {
+        const countries = state.get('countries.data') || [];
+        if (countries !== this.countries) {
+            this.countries = countries;
+            this.entries.clear();
+        }
+        if (!this.entries.has(field)) {
+            this.entries.set(field, countries.map(country => ({ country, names: this.namesFor(country, field) })));
+        }
+        return this.entries.get(field);
+    }
+}
+
+// Singleton instance
+export const answerMatcher = new AnswerMatcher();
+export default answerMatcher;
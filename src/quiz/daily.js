@@ -0,0 +1,83 @@
+/**
+ * Globe Map Quiz - Daily Challenge
+ * Date-seeded quizzes that are identical for every player, and their results
+ */
+
+import { CONFIG } from '../core/config.js';
+import { state } from '../core/state.js';
+import { createRng, hashSeed, pick } from '../utils/random.js';
+
+/**
+ * Local calendar date as YYYY-MM-DD
+ */
+export function dateKey(date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Seed for a day's questions
+ */
+export function dailySeed(key = dateKey()) {
+    return hashSeed(`daily:${key}`);
+}
+
+/**
+ * Key of the mode a day's challenge plays
+ */
+export function dailyModeKey(key = dateKey()) {
+    return pick(CONFIG.daily.modes, createRng(hashSeed(`daily-mode:${key}`)));
+}
+
+/**
+ * Result stored for a day, if it was played
+ */
+export function getDailyResult(key = dateKey()) {
+    return state.get('stats.daily')[key] || null;
+}
+
+/**
+ * Store a day's result; only the first attempt counts
+ * @returns {boolean} True if this was the first attempt
+ */
+export function recordDaily(key, stats) {
+    const results = state.get('stats.daily');
+    if (results[key]) return false;
+
+    results[key] = {
+        mode: dailyModeKey(key),
+        score: stats.score,
+        correct: stats.correct,
+        total: stats.total
+    };
+    state.set('stats.daily', results);
+    return true;
+}
+
+/**
+ * Consecutive days played up to today, or up to yesterday while
+ * today's challenge is still open
+ */
+export function dailyStreak(today = new Date()) {
+    const day = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    if (!getDailyResult(dateKey(day))) day.setDate(day.getDate() - 1);
+
+    let streak = 0;
+    while (getDailyResult(dateKey(day))) {
+        streak++;
+        day.setDate(day.getDate() - 1);
+    }
+    return streak;
+}
+
+/**
+ * The last `days` days, oldest first, with their results
+ * @returns {Array<{ key: string, date: Date, result: Object|null }>}
+ */
+export function dailyCalendar(days = CONFIG.daily.calendarDays, today = new Date()) {
+    return Array.from({ length: days }, (_, i) => {
+        const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - (days - 1 - i));
+        const key = dateKey(date);
+        return { key, date, result: getDailyResult(key) };
+    });
+}
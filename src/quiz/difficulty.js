@@ -0,0 +1,118 @@
+/**
+ * Globe Map Quiz - Difficulty Model
+ * Scores how hard each country is to place and weights question pools by it
+ */
+
+import { CONFIG } from '../core/config.js';
+import { state } from '../core/state.js';
+import { WELL_KNOWN, NON_SOVEREIGN } from '../data/countryFamiliarity.js';
+
+/**
+ * Whether a country is a sovereign state rather than a territory or
+ * unrecognised area
+ */
+export function isSovereign(country) {
+    return Boolean(country.iso3) && !NON_SOVEREIGN.has(country.iso3);
+}
+
+/**
+ * 0 for household names, 1 for territories, 0.5 for everything else
+ */
+function obscurity(country) {
+    if (WELL_KNOWN.has(country.iso3)) return 0;
+    return isSovereign(country) ? 0.5 : 1;
+}
+
+/**
+ * Rank of each country's value among the reference countries, scaled
+ * to 0..1 (missing values rank lowest)
+ */
+function percentiles(countries, reference, key) {
+    const values = reference.map(country => key(country) || 0).sort((a, b) => a - b);
+    const last = Math.max(1, values.length - 1);
+
+    return new Map(countries.map(country => {
+        const value = key(country) || 0;
+        // Binary search for the first reference value not below this one
+        let lo = 0;
+        let hi = values.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (values[mid] < value) lo = mid + 1;
+            else hi = mid;
+        }
+        return [country.id, Math.min(1, lo / last)];
+    }));
+}
+
+class DifficultyModel {
+    constructor() {
+        this.countries = null;
+        this.scores = new Map();    // id -> 0 (easy) .. 1 (hard)
+        this.largest = new Set();   // ids of the largest sovereign countries
+    }
+
+    /**
+     * How hard a country is to place, from 0 (easy) to 1 (hard)
+     */
+    score(country) {
+        this._update();
+        return this.scores.get(country.id) ?? 0.5;
+    }
+
+    /**
+     * Selection weight of a country for a difficulty: highest for
+     * countries whose score is near the difficulty's target
+     */
+    weight(country, difficulty) {
+        const { target } = CONFIG.difficulty[difficulty] || CONFIG.difficulty.medium;
+        const offset = (this.score(country) - target) / CONFIG.tiers.spread;
+        return Math.exp(-offset * offset);
+    }
+
+    /**
+     * Whether a country belongs to a size tier ('all', 'largest', 'microstates')
+     */
+    inTier(country, tier) {
+        if (tier === 'largest') {
+            this._update();
+            return this.largest.has(country.id);
+        }
+        if (tier === 'microstates') {
+            return isSovereign(country) && country.area > 0 && country.area < CONFIG.tiers.microstateMaxArea;
+        }
+        return true;
+    }
+
+    /**
+     * Recompute scores when the loaded countries change
+     */
+    _update() {
+        const countries = state.get('countries.data') || [];
+        if (countries === this.countries) return;
+        this.countries = countries;
+
+        // Rank against the 110m countries only, so scores (and seeded
+        // pools) stay the same once the detailed data loads
+        const base = countries.filter(country => !country.detailOnly);
+        const weights = CONFIG.tiers.weights;
+        const area = percentiles(countries, base, c => c.area);
+        const population = percentiles(countries, base, c => c.population);
+
+        this.scores = new Map(countries.map(country => [country.id,
+            weights.area * (1 - area.get(country.id)) +
+            weights.population * (1 - population.get(country.id)) +
+            weights.obscurity * obscurity(country)
+        ]));
+
+        this.largest = new Set(base
+            .filter(isSovereign)
+            .sort((a, b) => (b.area || 0) - (a.area || 0))
+            .slice(0, CONFIG.tiers.largestCount)
+            .map(country => country.id));
+    }
+}
+
+// Singleton instance
+export const difficultyModel = new DifficultyModel();
+export default difficultyModel;
@@ -0,0 +1,120 @@
+/**
+ * Globe Map Quiz - Distractors
+ * Picks the wrong answers offered alongside the right one in multiple choice
+ */
+
+import { CONFIG } from '../core/config.js';
+import { state } from '../core/state.js';
+import { flags } from '../utils/flags.js';
+import { angularDistance } from '../utils/geo.js';
+import { shuffle, sample } from '../utils/random.js';
+
+/**
+ * Take random picks from each tier in turn until `count` are chosen
+ */
+function fillFromTiers(tiers, count, rng) {
+    const chosen = [];
+    for (const tier of tiers) {
+        if (chosen.length >= count) break;
+        const fresh = tier.filter(country => !chosen.includes(country));
+        chosen.push(...sample(fresh, count - chosen.length, rng));
+    }
+    return chosen;
+}
+
+/**
+ * The n candidates with the lowest key
+ */
+function closest(candidates, key, n) {
+    return candidates
+        .map(country => ({ country, value: key(country) }))
+        .filter(({ value }) => Number.isFinite(value))
+        .sort((a, b) => a.value - b.value)
+        .slice(0, n)
+        .map(({ country }) => country);
+}
+
+/**
+ * Mean squared colour difference between two flag thumbnails
+ */
+function signatureDistance(a, b) {
+    if (!a || !b || a.length !== b.length) return Infinity;
+    let sum = 0;
+    for (let i = 0; i < a.length; i += 4) {
+        for (let c = 0; c < 3; c++) {
+            const d = a[i + c] - b[i + c];
+            sum += d * d;
+        }
+    }
+    return sum / (a.length / 4);
+}
+
+/**
+ * Countries whose flags look most like the answer's
+ */
+async function similarFlags(answer, candidates, n) {
+    const withFlags = candidates.filter(country => country.iso2);
+    const signatures = await Promise.all(
+        [answer, ...withFlags].map(country => flags.getSignature(country.iso2).catch(() => null))
+    );
+    const [target, ...others] = signatures;
+    const byCountry = new Map(withFlags.map((country, i) => [country, others[i]]));
+    return closest(withFlags, country => signatureDistance(target, byCountry.get(country)), n);
+}
+
+/**
+ * Countries sharing a border with the answer
+ */
+function bordering(answer, candidates) {
+    const neighbours = state.get('countries.neighbors')?.get(answer.id);
+    return neighbours ? candidates.filter(country => neighbours.has(country.id)) : [];
+}
+
+/**
+ * Countries nearest to the answer
+ */
+function nearby(answer, candidates, n) {
+    const { lat, lon } = answer.anchor;
+    return closest(candidates, country => angularDistance(lat, lon, country.anchor.lat, country.anchor.lon), n);
+}
+
+/**
+ * Build the options for a multiple choice question.
+ * Easy draws countries from other continents, medium from the same
+ * subregion, hard from bordering countries, then the nearest others
+ * (or similar flags when the question shows a flag). Each falls back
+ * to broader pools if short.
+ * @param {Object} answer - The correct country
+ * @param {Object} options
+ * @param {string} options.difficulty - 'easy' | 'medium' | 'hard'
+ * @param {boolean} options.byFlag - Question is about the answer's flag
+ * @param {Function} options.accept - Extra test a distractor must pass
+ * @param {Function} options.rng - Random source returning [0, 1)
+ * @returns {Promise<Array>} Shuffled options including the answer
+ */
+export async function pickOptions(answer, { difficulty = 'medium', byFlag = false, accept = () => true, rng = Math.random } = {}) {
+    const count = CONFIG.quiz.optionCount - 1;
+    const candidates = (state.get('countries.data') || []).filter(c => c.id !== answer.id && accept(c));
+
+    const sameSubregion = candidates.filter(c => c.subregion && c.subregion === answer.subregion);
+    const sameContinent = candidates.filter(c => c.continent && c.continent === answer.continent);
+    const otherContinents = candidates.filter(c => c.continent && c.continent !== answer.continent);
+
+    let tiers;
+    if (difficulty === 'easy') {
+        tiers = [otherContinents, candidates];
+    } else if (difficulty === 'hard') {
+        const poolSize = CONFIG.quiz.hardDistractorPool;
+        // Islands and countries with few neighbours are topped up by distance
+        const lookalikes = byFlag && answer.iso2
+            ? [await similarFlags(answer, candidates, poolSize)]
+            : [bordering(answer, candidates), nearby(answer, candidates, poolSize)];
+        tiers = [...lookalikes, sameSubregion, sameContinent, candidates];
+    } else {
+        tiers = [sameSubregion, sameContinent, candidates];
+    }
+
+    return shuffle([answer, ...fillFromTiers(tiers, count, rng)], rng);
+}
+
+export default pickOptions;
@@ -0,0 +1,114 @@
+/**
+ * Globe Map Quiz - Memory Model
+ * Per-country spaced repetition (SM-2) driven by quiz answers
+ */
+
+import { CONFIG } from '../core/config.js';
+import { state } from '../core/state.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class MemoryModel {
+    /**
+     * Stored record for a country, or null if it was never asked
+     * @returns {{attempts: number, correct: number, streak: number, ease: number,
+     *            interval: number, lastSeen: number, due: number}|null}
+     */
+    get(country) {
+        return state.get('stats.memory')[country.id] || null;
+    }
+
+    /**
+     * Whether a mode's answers show where a country is, which is what
+     * Practice drills (given its name, find it on the map). Capitals,
+     * flags and borders are other knowledge and aren't reviewed.
+     */
+    tracks(mode) {
+        return !mode.subject && mode.given === 'name' && mode.find === 'country';
+    }
+
+    /**
+     * SM-2 grade for a quiz answer: quick correct answers score 5,
+     * slower ones 4, hinted ones 3 and wrong answers 1
+     */
+    grade(correct, timeMs, hinted = false) {
+        if (!correct) return 1;
+        if (hinted) return 3;
+        return timeMs <= CONFIG.memory.fastAnswerMs ? 5 : 4;
+    }
+
+    /**
+     * Update a country's record after an answer
+     * @param {number} quality - SM-2 grade from 0 (forgotten) to 5 (perfect)
+     */
+    review(country, quality, now = Date.now()) {
+        const { initialEase, minEase, intervals } = CONFIG.memory;
+        const memory = state.get('stats.memory');
+        const record = memory[country.id] || {
+            attempts: 0, correct: 0, streak: 0, ease: initialEase, interval: 0, lastSeen: null, due: null
+        };
+
+        record.attempts++;
+        if (quality >= 3) {
+            record.correct++;
+            record.streak++;
+            record.interval = record.streak <= intervals.length
+                ? intervals[record.streak - 1]
+                : Math.round(record.interval * record.ease);
+        } else {
+            // Forgotten: start the schedule again
+            record.streak = 0;
+            record.interval = intervals[0];
+        }
+
+        const miss = 5 - quality;
+        record.ease = Math.max(minEase, record.ease + 0.1 - miss * (0.08 + miss * 0.02));
+        record.lastSeen = now;
+        record.due = now + record.interval * DAY_MS;
+
+        memory[country.id] = record;
+        state.set('stats.memory', memory);
+        return record;
+    }
+
+    /**
+     * How well a country is known: 'new', 'learning', 'reviewing' or 'mastered'
+     */
+    mastery(country) {
+        const record = this.get(country);
+        if (!record) return 'new';
+        if (record.interval >= CONFIG.memory.masteredDays) return 'mastered';
+        return this._isWeak(record) ? 'learning' : 'reviewing';
+    }
+
+    /**
+     * Countries due for review or still weak, most overdue first
+     */
+    practicePool(countries, now = Date.now()) {
+        return countries
+            .filter(country => {
+                const record = this.get(country);
+                return record && (record.due <= now || this._isWeak(record));
+            })
+            .sort((a, b) => this.get(a).due - this.get(b).due);
+    }
+
+    /**
+     * How many countries a practice quiz can ask: due or weak ones,
+     * plus ones never asked
+     */
+    practiceCount(countries, now = Date.now()) {
+        return this.practicePool(countries, now).length + countries.filter(country => !this.get(country)).length;
+    }
+
+    /**
+     * Recently forgotten, or answered wrongly often enough to lower its ease
+     */
+    _isWeak(record) {
+        return record.streak === 0 || record.ease < CONFIG.memory.weakEase;
+    }
+}
+
+// Singleton instance
+export const memory = new MemoryModel();
+export default memory;
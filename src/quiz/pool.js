@@ -0,0 +1,126 @@
+/**
+ * Globe Map Quiz - Question Pool
+ * Resolves quiz modes and filters the countries a quiz can ask about
+ */
+
+import { CONFIG } from '../core/config.js';
+import { state } from '../core/state.js';
+import { difficultyModel } from './difficulty.js';
+import { dailyModeKey } from './daily.js';
+
+// Given/find pairs a quiz can be built from
+const PAIRS = [
+    ['name', 'country'],
+    ['highlight', 'name'],
+    ['highlight', 'type'],
+    ['flag', 'name'],
+    ['flag', 'country'],
+    ['flag', 'type']
+];
+
+/**
+ * Whether a quiz can ask for `find` given `given`
+ */
+export function isValidPair(given, find) {
+    return PAIRS.some(([g, f]) => g === given && f === find);
+}
+
+/**
+ * First answer type that works with a given question type
+ */
+export function defaultFind(given) {
+    return PAIRS.find(([g]) => g === given)?.[1] ?? 'country';
+}
+
+/**
+ * Resolve a mode from its key ('locate', 'flags', ...). The custom mode
+ * takes its given/find pair, size tier and question count from quiz.custom;
+ * the daily mode plays today's pick from CONFIG.daily.modes.
+ */
+export function getMode(key) {
+    const mode = Object.values(CONFIG.modes).find(m => m.key === key) || CONFIG.modes.LOCATE;
+    if (mode === CONFIG.modes.DAILY) {
+        const today = getMode(dailyModeKey());
+        return {
+            ...today,
+            key: mode.key,
+            name: `${mode.name}: ${today.name}`,
+            daily: true,
+            questionCount: CONFIG.daily.questionCount
+        };
+    }
+    if (mode !== CONFIG.modes.CUSTOM) return mode;
+
+    const { given, find, tier, questionCount } = state.get('quiz.custom');
+    return {
+        ...mode,
+        given,
+        find,
+        tier,
+        questionCount: questionCount === 'all' ? undefined : questionCount,
+        allCountries: questionCount === 'all'
+    };
+}
+
+/**
+ * Whether a country lies in any of the selected continents/subregions
+ * (an empty selection means everywhere)
+ */
+export function matchesRegions(country, regions) {
+    return !regions || regions.size === 0 ||
+        regions.has(country.continent) || regions.has(country.subregion);
+}
+
+/**
+ * Neighbours a question in this mode needs: one to find, or two to
+ * pick a pair from
+ */
+function requiredNeighbours(mode) {
+    if (mode.given === 'pair') return 2;
+    return mode.find === 'neighbours' ? 1 : 0;
+}
+
+/**
+ * Whether a mode asks about countries that only come with the detailed
+ * data. Only the Microstates tier does, so other pools (and their seeds)
+ * don't depend on the zoom level.
+ */
+export function needsDetail(mode) {
+    return mode.tier === 'microstates';
+}
+
+/**
+ * Countries a quiz in this mode and region selection can ask about.
+ * Daily quizzes ignore the selection, so every player gets the same pool.
+ */
+export function filterPool(countries, { mode, regions }) {
+    const neighbors = state.get('countries.neighbors');
+    const minNeighbours = requiredNeighbours(mode);
+
+    return countries.filter(country =>
+        // Flag questions need a bundled flag, capital questions a capital
+        (mode.given !== 'flag' || country.iso2) &&
+        (mode.subject !== 'capital' || country.capital) &&
+        (neighbors.get(country.id)?.size || 0) >= minNeighbours &&
+        (!country.detailOnly || needsDetail(mode)) &&
+        (mode.daily || matchesRegions(country, regions)) &&
+        difficultyModel.inTier(country, mode.tier)
+    );
+}
+
+/**
+ * Continents with their subregions, from the loaded countries
+ * @returns {Array<{ name: string, subregions: string[] }>}
+ */
+export function listRegions(countries) {
+    const continents = new Map();
+    countries.forEach(({ continent, subregion }) => {
+        if (!continent) return;
+        if (!continents.has(continent)) continents.set(continent, new Set());
+        if (subregion && subregion !== continent) continents.get(continent).add(subregion);
+    });
+
+    return [...continents.entries()]
+        .map(([name, subregions]) => ({ name, subregions: [...subregions].sort() }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
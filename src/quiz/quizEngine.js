@@ -0,0 +1,936 @@
+/**
+ * Globe Map Quiz - Quiz Engine
+ * Builds question pools, runs rounds, scores answers and drives the HUD
+ */
+
+import { CONFIG } from '../core/config.js';
+import { state } from '../core/state.js';
+import { countryRenderer } from '../globe/countries.js';
+import { markers } from '../globe/markers.js';
+import { uiController } from '../ui/uiController.js';
+import { answerMatcher } from './answerMatcher.js';
+import { pickOptions } from './distractors.js';
+import { getMode, filterPool, needsDetail } from './pool.js';
+import { difficultyModel } from './difficulty.js';
+import { memory } from './memory.js';
+import { dateKey, dailySeed, recordDaily } from './daily.js';
+import { audio } from '../utils/audio.js';
+import { createRng, randomSeed, shuffle, pick, sample, weightedSample } from '../utils/random.js';
+import { distanceKm, formatKm, midpoint, meanPoint, nearestPointOnGeometry } from '../utils/geo.js';
+
+// Question prompts keyed by `${given}-${find}`, with `:capital` for capital questions
+const PROMPTS = {
+    'name-point:capital': 'Click the capital of:',
+    'highlight-name:capital': 'What is the capital of this country?',
+    'highlight-type:capital': 'Type the capital of this country:',
+    'name-country': 'Find this country:',
+    'highlight-name': 'Which country is highlighted?',
+    'highlight-type': 'Type the name of this country:',
+    'flag-name': 'Which country does this flag belong to?',
+    'flag-country': 'Find the country with this flag:',
+    'flag-type': 'Type the country with this flag:',
+    'highlight-neighbours': 'Click every neighbour of:',
+    'pair-country': 'Find the country that borders both:'
+};
+
+class QuizEngine {
+    constructor() {
+        this.mode = null;
+        this.difficulty = 'medium';
+        this.rng = Math.random;     // Seeded per quiz; drives every random choice
+        this.dailyKey = null;       // Date of the daily challenge being played
+        this.custom = null;         // quiz.custom as played, or null when retrying given countries
+        this.prompt = '';
+        this.awaitingAnswer = false;
+        this.history = [];
+        this.startTime = 0;
+        this.questionStartTime = 0;
+        this.advanceTimeout = null;
+        this.advanceCallback = null;
+        this.questionId = 0;
+        this.pausedAt = 0;
+        this.resumeAnswer = false;  // Whether the question was open when paused
+        this.resumeCallback = null; // Advance that was pending when paused
+        this.neighbours = null;     // { targets, found, mistakes } for Neighbours questions
+        this.pair = null;           // { countries, answers } for Shared Border questions
+        this.hints = [];            // { key, text } hints taken on this question
+    }
+
+    /**
+     * Listen for quiz events dispatched by the UI and globe
+     */
+    init() {
+        window.addEventListener('quizStart', (e) => this.start(e.detail));
+        window.addEventListener('countrySelected', (e) => this._onCountrySelected(e.detail));
+        window.addEventListener('globePointSelected', (e) => this._onPointSelected(e.detail));
+        window.addEventListener('quizPause', () => this.pause());
+        window.addEventListener('quizResume', () => this.resume());
+        window.addEventListener('quizSkip', () => this.skip());
+        return this;
+    }
+
+    /**
+     * Start a new quiz
+     * @param {Object} options - { mode, difficulty, countryIds, seed } as emitted by
+     *   the quiz modal; countryIds replaces the generated pool (retrying mistakes)
+     *   and seed repeats a quiz. Daily quizzes are seeded by the date.
+     */
+    async start({ mode, difficulty, countryIds, seed }) {
+        this.stop();
+        const startId = this.questionId;
+        this.mode = getMode(mode);
+
+        // Microstates only come with the detailed data
+        if (!countryIds && needsDetail(this.mode) && countryRenderer.detailState !== 'ready') {
+            uiController.updateQuestion('Loading countries…', '');
+            await countryRenderer.loadDetail();
+            if (startId !== this.questionId) return;
+        }
+
+        this.dailyKey = this.mode.daily ? dateKey() : null;
+        const quizSeed = this.dailyKey ? dailySeed(this.dailyKey) : seed ?? randomSeed();
+        this.rng = createRng(quizSeed);
+        state.set('quiz.seed', quizSeed);
+        this.custom = countryIds ? null : { ...state.get('quiz.custom') };
+
+        this.difficulty = CONFIG.difficulty[difficulty] ? difficulty : 'medium';
+        const settings = CONFIG.difficulty[difficulty] || CONFIG.difficulty.medium;
+        const pool = countryIds ? this._poolFromIds(countryIds) : this._buildPool(settings);
+
+        if (pool.length === 0) {
+            console.warn('Quiz pool is empty');
+            this.finish(false);
+            return;
+        }
+
+        state.update({
+            'quiz.pool': pool,
+            'quiz.currentIndex': 0,
+            'quiz.maxStreak': 0,
+            'quiz.mcqOptions': []
+        });
+
+        this.history = [];
+        this.startTime = performance.now();
+        this._nextQuestion();
+    }
+
+    /**
+     * Abort the running quiz without reporting results
+     */
+    stop() {
+        this.questionId++;
+        this._clearPending();
+        this._stopTimer();
+        this.awaitingAnswer = false;
+        this.resumeCallback = null;
+        if (state.get('quiz.paused')) state.set('quiz.paused', false);
+    }
+
+    /**
+     * Freeze the quiz: stop the clock and hold back answers and the
+     * scheduled advance until resumed
+     */
+    pause() {
+        if (!state.get('quiz.active') || state.get('quiz.paused')) return;
+
+        this.pausedAt = performance.now();
+        this.resumeAnswer = this.awaitingAnswer;
+        this.awaitingAnswer = false;
+        this._stopTimer();
+
+        this.resumeCallback = this.advanceTimeout ? this.advanceCallback : null;
+        this._clearPending();
+
+        state.set('quiz.paused', true);
+    }
+
+    /**
+     * Continue a paused quiz where it left off
+     */
+    resume() {
+        if (!state.get('quiz.paused')) return;
+
+        // Paused time doesn't count towards answer times
+        const now = performance.now();
+        this.startTime += now - this.pausedAt;
+        this.questionStartTime += now - Math.max(this.pausedAt, this.questionStartTime);
+
+        state.set('quiz.paused', false);
+
+        this.awaitingAnswer = this.resumeAnswer;
+        if (this.awaitingAnswer) this._runTimer();
+        if (this.resumeCallback) {
+            this._schedule(this.resumeCallback);
+            this.resumeCallback = null;
+        }
+    }
+
+    /**
+     * Give up on the current question without losing a life, while the
+     * difficulty's skip allowance lasts
+     */
+    skip() {
+        const skipsLeft = state.get('quiz.skipsLeft');
+        if (!this.awaitingAnswer || skipsLeft <= 0) return;
+
+        this.awaitingAnswer = false;
+        this._stopTimer();
+
+        const country = state.get('quiz.current');
+        state.update({
+            'quiz.skipsLeft': skipsLeft - 1,
+            'quiz.streak': 0
+        });
+
+        countryRenderer.markMissed(country.id);
+        this._record(country, null, false, { skipped: true });
+
+        uiController.showFeedback('close', 'Skipped');
+        this._reveal(country, null);
+        this._schedule(() => this._advance());
+    }
+
+    /**
+     * Build the shuffled question pool for the current mode and regions,
+     * favouring countries that suit the difficulty. Practice takes due
+     * and weak countries first, topped up with ones never asked. Daily
+     * draws evenly.
+     */
+    _buildPool(settings) {
+        let countries = filterPool(state.get('countries.data') || [], {
+            mode: this.mode,
+            regions: this.custom.regions
+        });
+        if (this.mode.allCountries) return shuffle(countries, this.rng);
+
+        let count = this.mode.questionCount ?? settings.questionCount;
+        if (this.mode.daily) return sample(countries, count, this.rng);
+
+        const chosen = [];
+        if (this.mode.practice) {
+            chosen.push(...memory.practicePool(countries).slice(0, count));
+            countries = countries.filter(country => !memory.get(country));
+            count -= chosen.length;
+        }
+
+        chosen.push(...weightedSample(countries, count,
+            country => difficultyModel.weight(country, this.difficulty), this.rng));
+        return shuffle(chosen, this.rng);
+    }
+
+    /**
+     * Shuffled pool of the given countries
+     */
+    _poolFromIds(countryIds) {
+        const byId = state.get('countries.byId');
+        return shuffle(countryIds.map(id => byId.get(id)).filter(Boolean), this.rng);
+    }
+
+    /**
+     * Advance to the question at quiz.currentIndex
+     */
+    async _nextQuestion() {
+        this._clearQuestion();
+        const questionId = ++this.questionId;
+
+        const pool = state.get('quiz.pool');
+        const index = state.get('quiz.currentIndex');
+        if (index >= pool.length) {
+            this.finish(true);
+            return;
+        }
+
+        const country = pool[index];
+        state.set('quiz.current', country);
+        uiController.updateProgress(index + 1, pool.length);
+
+        await this._presentQuestion(country, questionId);
+
+        // The quiz may have been stopped while the camera was flying
+        if (questionId !== this.questionId) return;
+
+        this.questionStartTime = performance.now();
+        this._startTimer();
+
+        // Paused while the question was being shown: open it on resume
+        if (state.get('quiz.paused')) {
+            this.resumeAnswer = true;
+        } else {
+            this.awaitingAnswer = true;
+        }
+    }
+
+    /**
+     * Show the "given" side of the question and prepare the answer input
+     */
+    async _presentQuestion(country, questionId) {
+        let { given, find } = this.mode;
+
+        if (given === 'flag' && !country.iso2) {
+            // No flag for this area; present it in a way that doesn't give the answer away
+            given = find === 'country' ? 'name' : 'highlight';
+        }
+
+        const byCapital = this.mode.subject === 'capital';
+        this.prompt = PROMPTS[`${given}-${find}${byCapital ? ':capital' : ''}`] || PROMPTS['name-country'];
+
+        if (find === 'neighbours') {
+            const targets = new Set(state.get('countries.neighbors').get(country.id));
+            this.neighbours = { targets, found: new Set(), mistakes: 0 };
+        }
+
+        if (given === 'flag') {
+            uiController.updateQuestion(this.prompt, '');
+            uiController.showQuestionFlag(country.iso2);
+        } else if (given === 'name') {
+            uiController.updateQuestion(this.prompt, country.name);
+        } else if (given === 'highlight') {
+            uiController.updateQuestion(this.prompt, '?');
+            // A flag would give the answer away
+            countryRenderer.highlight(country.id, { flag: false });
+
+            // Start the question once the country (and its neighbours) are in view
+            await (this.neighbours
+                ? countryRenderer.flyToCountries([country.id, ...this.neighbours.targets])
+                : countryRenderer.flyToCountry(country.id));
+            if (questionId !== this.questionId) return;
+        } else if (given === 'pair') {
+            this.pair = this._pickPair(country);
+            const [a, b] = this.pair.countries;
+            uiController.updateQuestion(this.prompt, `${a.name} and ${b.name}`);
+            this.pair.countries.forEach(c => markers.addLabel(c.anchor.lat, c.anchor.lon, c.name));
+
+            await countryRenderer.flyToCountries([a.id, b.id]);
+            if (questionId !== this.questionId) return;
+        }
+
+        if (find === 'name') {
+            const options = await pickOptions(country, {
+                difficulty: this.difficulty,
+                byFlag: given === 'flag',
+                // Capital options need a capital, and no two may read the same.
+                // Like the pool, options leave out countries that only load with detail.
+                accept: c => (!byCapital || (c.capital && c.capital.name !== country.capital.name)) &&
+                    (!c.detailOnly || needsDetail(this.mode)),
+                rng: this.rng
+            });
+            if (questionId !== this.questionId) return;
+
+            state.set('quiz.mcqOptions', options.map(c => c.id));
+            uiController.showOptions(options, (id) => this.submitAnswer(id),
+                byCapital ? c => c.capital.name : undefined);
+        } else if (find === 'type') {
+            uiController.showTextInput((text) => this._onTypedAnswer(text));
+        } else if (find === 'neighbours') {
+            uiController.updateQuestion(this.prompt, this._neighbourProgress(country));
+        }
+
+        this._offerHints();
+    }
+
+    /**
+     * Hints that apply to the current question, in the order they're given
+     */
+    _availableHints() {
+        const { given, find, subject } = this.mode;
+        // Hints are about a country to find or name
+        if (subject === 'capital' || given === 'pair' || find === 'neighbours') return [];
+
+        const country = state.get('quiz.current');
+        const neighbours = state.get('countries.neighbors').get(country.id);
+        return Object.keys(CONFIG.hints.penalties).filter(key => {
+            if (key === 'continent') return Boolean(country.continent);
+            if (key === 'subregion') return Boolean(country.subregion);
+            if (key === 'letters') return find !== 'country';
+            if (key === 'neighbours') return Boolean(neighbours?.size);
+            return false;
+        });
+    }
+
+    /**
+     * Next hint not yet taken on this question, if any
+     */
+    _nextHint() {
+        const taken = this.hints.map(hint => hint.key);
+        return this._availableHints().find(key => !taken.includes(key)) || null;
+    }
+
+    /**
+     * Show the hints taken so far and, while the question is open, offer the next one
+     */
+    _offerHints(open = true) {
+        const next = open ? this._nextHint() : null;
+        uiController.showHints(this.hints.map(hint => hint.text),
+            next ? CONFIG.hints.penalties[next] : null, () => this.useHint());
+    }
+
+    /**
+     * Give the next hint for the current question
+     */
+    useHint() {
+        if (!this.awaitingAnswer) return;
+
+        const key = this._nextHint();
+        if (!key) return;
+
+        const country = state.get('quiz.current');
+        this.hints.push({ key, text: this._hintText(key, country) });
+        this._offerHints();
+    }
+
+    /**
+     * Text for a hint, moving the camera for the subregion hint
+     */
+    _hintText(key, country) {
+        const byId = state.get('countries.byId');
+
+        if (key === 'continent') return `Continent: ${country.continent}`;
+
+        if (key === 'subregion') {
+            const region = (state.get('countries.data') || []).filter(c => c.subregion === country.subregion);
+            countryRenderer.flyToCountries(region.map(c => c.id), {
+                center: meanPoint(region.map(c => c.anchor))
+            });
+            return `Region: ${country.subregion}`;
+        }
+
+        if (key === 'letters') {
+            // First letter, then a blank for every other letter
+            const pattern = country.name.replace(/(?<=.)\p{L}/gu, '_');
+            return `Name: ${pattern} (${country.name.replace(/[^\p{L}]/gu, '').length} letters)`;
+        }
+
+        const names = [...state.get('countries.neighbors').get(country.id)]
+            .map(id => byId.get(id)?.name)
+            .filter(Boolean)
+            .sort();
+        return `Borders: ${names.join(', ')}`;
+    }
+
+    /**
+     * Share of the question's points lost to hints
+     */
+    _hintPenalty() {
+        const { penalties } = CONFIG.hints;
+        return Math.min(1, this.hints.reduce((sum, hint) => sum + penalties[hint.key], 0));
+    }
+
+    /**
+     * Two neighbours of a country for a Shared Border question, preferring
+     * pairs with the fewest other countries bordering both
+     * @returns {{countries: Array, answers: Set<number>}}
+     */
+    _pickPair(country) {
+        const neighbors = state.get('countries.neighbors');
+        const byId = state.get('countries.byId');
+        const around = [...neighbors.get(country.id)].map(id => byId.get(id)).filter(Boolean);
+
+        let best = [];
+        for (let i = 0; i < around.length; i++) {
+            for (let j = i + 1; j < around.length; j++) {
+                const others = neighbors.get(around[j].id) || new Set();
+                const answers = new Set([...(neighbors.get(around[i].id) || [])].filter(id => others.has(id)));
+                const pair = { countries: [around[i], around[j]], answers };
+
+                if (best.length === 0 || answers.size < best[0].answers.size) {
+                    best = [pair];
+                } else if (answers.size === best[0].answers.size) {
+                    best.push(pair);
+                }
+            }
+        }
+
+        return pick(best, this.rng);
+    }
+
+    /**
+     * Question text showing how many neighbours have been found
+     */
+    _neighbourProgress(country) {
+        const { targets, found } = this.neighbours;
+        return `${country.name} (${found.size}/${targets.size})`;
+    }
+
+    /**
+     * Handle a globe click forwarded by the app
+     */
+    _onCountrySelected(country) {
+        if (!state.get('quiz.active')) return;
+        if (this.mode?.find === 'neighbours') {
+            this._onNeighbourSelected(country);
+            return;
+        }
+        if (this.mode?.find !== 'country') return;
+        // Scored from the click position instead
+        if (this._scoresByDistance()) return;
+        this.submitAnswer(country.id);
+    }
+
+    /**
+     * Count a click in a Neighbours question. The question stays open
+     * until every neighbour is found or too many wrong clicks are made.
+     */
+    _onNeighbourSelected(country) {
+        if (!this.awaitingAnswer) return;
+
+        const current = state.get('quiz.current');
+        const { targets, found } = this.neighbours;
+        if (country.id === current.id || found.has(country.id)) return;
+
+        if (!targets.has(country.id)) {
+            this.neighbours.mistakes++;
+            const message = `${country.name} doesn't border ${current.name}`;
+            if (this.neighbours.mistakes >= CONFIG.quiz.neighbourMistakes) {
+                this._endNeighbours(current, message);
+            } else {
+                audio.play('wrong');
+                uiController.showFeedback('wrong', message);
+            }
+            return;
+        }
+
+        found.add(country.id);
+        this._markNeighbour(country, CONFIG.markers.pinColor);
+
+        if (found.size === targets.size) {
+            this._onCorrect(current, { message: `All ${targets.size} found` });
+        } else {
+            audio.play('correct');
+            uiController.showFeedback('correct', country.name);
+            uiController.updateQuestion(this.prompt, this._neighbourProgress(current));
+        }
+    }
+
+    /**
+     * Close a Neighbours question early, with points for the share found
+     */
+    _endNeighbours(country, message) {
+        const { targets, found } = this.neighbours;
+        const points = Math.round(CONFIG.scoring.correct * found.size / targets.size);
+        this._onWrong(country, null, `${message} · ${found.size}/${targets.size} found`, { points });
+    }
+
+    /**
+     * Pin and label a neighbour on the globe
+     */
+    _markNeighbour(country, color) {
+        const { lat, lon } = country.anchor;
+        markers.addPin(lat, lon, color);
+        markers.addLabel(lat, lon, country.name);
+    }
+
+    /**
+     * Handle a click anywhere on the globe
+     * @param {{lat: number, lon: number, country: Object|null}} point
+     */
+    _onPointSelected(point) {
+        if (!this.awaitingAnswer) return;
+
+        if (this.mode.find === 'point') {
+            this._scoreCapitalClick(point);
+        } else if (this._scoresByDistance()) {
+            this._scoreLocateClick(point);
+        }
+    }
+
+    /**
+     * Whether country clicks earn points for near misses
+     */
+    _scoresByDistance() {
+        return this.mode?.find === 'country' && this.mode.given !== 'pair' && state.get('quiz.distanceScoring');
+    }
+
+    /**
+     * Score a click against the current capital, with partial credit by distance
+     */
+    _scoreCapitalClick(point) {
+        const country = state.get('quiz.current');
+        const { capital } = country;
+        const km = distanceKm(point.lat, point.lon, capital.lat, capital.lon);
+        const credit = this._distanceCredit(km);
+
+        this._showMiss(point, capital, km);
+
+        const message = `${formatKm(km)} off`;
+        if (credit > 0) {
+            this._onCorrect(country, { credit, message, errorKm: km });
+        } else {
+            this._onWrong(country, null, message, { errorKm: km });
+        }
+    }
+
+    /**
+     * Score a Locate click: a hit is correct, a miss still earns points
+     * that decay with its distance from the target's border
+     */
+    _scoreLocateClick(point) {
+        const country = state.get('quiz.current');
+        const answerId = point.country ? point.country.id : null;
+        if (answerId === country.id) {
+            this._onCorrect(country, { errorKm: 0 });
+            return;
+        }
+
+        const nearest = nearestPointOnGeometry(point.lat, point.lon, country.geometry);
+        if (!nearest) {
+            this.submitAnswer(answerId);
+            return;
+        }
+
+        this._showMiss(point, nearest, nearest.km);
+        this._onWrong(country, answerId, `${formatKm(nearest.km)} off`, {
+            points: this._nearMissPoints(nearest.km),
+            errorKm: nearest.km
+        });
+    }
+
+    /**
+     * Pin the click and draw a labelled line to where it should have been
+     */
+    _showMiss(point, target, km) {
+        markers.addPin(point.lat, point.lon, CONFIG.markers.guessColor);
+        markers.addLine(point, target);
+
+        const middle = midpoint(point.lat, point.lon, target.lat, target.lon);
+        markers.addLabel(middle.lat, middle.lon, `${formatKm(km)} off`);
+    }
+
+    /**
+     * Share of full points for an answer this far from the target:
+     * 1 within perfectKm, falling linearly to 0 at zeroKm
+     */
+    _distanceCredit(km) {
+        const { perfectKm, zeroKm } = CONFIG.scoring.distance;
+        return Math.max(0, Math.min(1, (zeroKm - km) / (zeroKm - perfectKm)));
+    }
+
+    /**
+     * Points for a wrong Locate click, halving every halfLifeKm
+     */
+    _nearMissPoints(km) {
+        const { maxShare, halfLifeKm } = CONFIG.scoring.nearMiss;
+        return Math.round(CONFIG.scoring.correct * maxShare * Math.pow(0.5, km / halfLifeKm));
+    }
+
+    /**
+     * Resolve a typed name to a country and submit it. Near misses of the
+     * right name get another try instead of counting as wrong.
+     */
+    _onTypedAnswer(text) {
+        if (!this.awaitingAnswer) return;
+
+        const field = this.mode.subject === 'capital' ? 'capital' : 'name';
+        const { verdict, country } = answerMatcher.match(text, state.get('quiz.current'), field);
+        if (verdict === 'close') {
+            uiController.showFeedback('close', 'Close, check spelling');
+            return;
+        }
+
+        this.submitAnswer(country ? country.id : null);
+    }
+
+    /**
+     * Score an answer for the current question
+     * @param {number|null} countryId - Answered country, or null for no match
+     */
+    submitAnswer(countryId) {
+        if (!this.awaitingAnswer) return;
+
+        const current = state.get('quiz.current');
+        if (this.pair?.answers.has(countryId)) {
+            // Any country bordering both counts
+            this._onCorrect(current, { answer: state.get('countries.byId').get(countryId) });
+        } else if (countryId === current.id) {
+            this._onCorrect(current);
+        } else {
+            this._onWrong(current, countryId);
+        }
+    }
+
+    /**
+     * Handle a correct answer
+     * @param {Object} country - The question's country
+     * @param {Object} options
+     * @param {Object} options.answer - Country given, if another one also counts
+     * @param {number} options.credit - Share of full points (partial answers)
+     * @param {string} options.message - Shown before the points
+     * @param {number} options.errorKm - Distance off, for point answers
+     */
+    _onCorrect(country, { answer = country, credit = 1, message, errorKm } = {}) {
+        this.awaitingAnswer = false;
+        const timeLeft = this._stopTimer();
+
+        const { scoring } = CONFIG;
+        const streak = state.get('quiz.streak') + 1;
+        const penalty = this._hintPenalty();
+        const points = Math.round(credit * (1 - penalty) * (scoring.correct +
+            Math.min((streak - 1) * scoring.streakBonus, scoring.maxStreakBonus) +
+            timeLeft * scoring.timeBonus));
+
+        state.update({
+            'quiz.score': state.get('quiz.score') + points,
+            'quiz.streak': streak,
+            'quiz.maxStreak': Math.max(state.get('quiz.maxStreak'), streak),
+            'quiz.correct': state.get('quiz.correct') + 1
+        });
+
+        countryRenderer.markFound(answer.id);
+        this._record(country, answer.id, true, { errorKm });
+
+        const earned = penalty > 0 ? `+${points} (hints −${Math.round(penalty * 100)}%)` : `+${points}`;
+        audio.play('correct');
+        uiController.showFeedback('correct', message ? `${message} · ${earned}` : earned);
+        this._reveal(answer, answer.id);
+        this._schedule(() => this._advance());
+    }
+
+    /**
+     * Handle a wrong answer or timeout
+     * @param {Object} options
+     * @param {number} options.points - Consolation points (near misses)
+     * @param {number} options.errorKm - Distance off, for point answers
+     */
+    _onWrong(country, answerId, message, { points = 0, errorKm } = {}) {
+        this.awaitingAnswer = false;
+        this._stopTimer();
+        points = Math.round(points * (1 - this._hintPenalty()));
+
+        const lives = Math.max(0, state.get('quiz.lives') - 1);
+        state.update({
+            'quiz.score': state.get('quiz.score') + points,
+            'quiz.lives': lives,
+            'quiz.streak': 0,
+            'quiz.wrong': state.get('quiz.wrong') + 1
+        });
+
+        countryRenderer.markMissed(country.id);
+        this._record(country, answerId, false, { errorKm });
+
+        audio.play('wrong');
+        uiController.showFeedback('wrong', points > 0 ? `${message} · +${points}` : message);
+        this._reveal(country, answerId);
+
+        if (lives <= 0) {
+            this._schedule(() => this.finish(false));
+        } else {
+            this._schedule(() => this._advance());
+        }
+    }
+
+    /**
+     * Time ran out on the current question
+     */
+    _onTimeout() {
+        if (!this.awaitingAnswer) return;
+        if (this.neighbours) {
+            this._endNeighbours(state.get('quiz.current'), 'Time up!');
+        } else {
+            this._onWrong(state.get('quiz.current'), null, 'Time up!');
+        }
+    }
+
+    /**
+     * Show the correct answer on the globe and in the question panel
+     */
+    _reveal(country, answerId) {
+        if (this.mode.subject === 'capital') {
+            uiController.updateQuestion(this.prompt, `${country.capital.name}, ${country.name}`);
+            markers.addPin(country.capital.lat, country.capital.lon);
+        } else if (this.neighbours) {
+            uiController.updateQuestion(this.prompt, this._neighbourProgress(country));
+            this._revealNeighbours();
+        } else if (this.pair && answerId !== country.id) {
+            const byId = state.get('countries.byId');
+            uiController.updateQuestion(this.prompt,
+                [...this.pair.answers].map(id => byId.get(id).name).join(' or '));
+        } else {
+            uiController.updateQuestion(this.prompt, country.name);
+        }
+        uiController.revealOptions(country.id, answerId);
+        this._offerHints(false);
+        countryRenderer.highlight(country.id);
+        // Neighbours questions are already framed
+        if (!this.neighbours) countryRenderer.flyToCountry(country.id);
+    }
+
+    /**
+     * Pin the neighbours the player didn't find
+     */
+    _revealNeighbours() {
+        const byId = state.get('countries.byId');
+        const { targets, found } = this.neighbours;
+        targets.forEach(id => {
+            if (!found.has(id) && byId.has(id)) this._markNeighbour(byId.get(id), CONFIG.markers.missColor);
+        });
+    }
+
+    /**
+     * Store the outcome of the current question
+     * @param {Object} extra - Optional details such as errorKm
+     */
+    _record(country, answerId, correct, extra = {}) {
+        const time = performance.now() - this.questionStartTime;
+        const hints = this.hints.map(hint => hint.key);
+        this.history.push({
+            countryId: country.id,
+            answerId,
+            correct,
+            time,
+            hints,
+            ...extra
+        });
+        if (memory.tracks(this.mode)) {
+            memory.review(country, memory.grade(correct, time, hints.length > 0));
+        }
+
+        if (extra.errorKm !== undefined) {
+            const errors = this.history.filter(entry => entry.errorKm !== undefined);
+            const total = errors.reduce((sum, entry) => sum + entry.errorKm, 0);
+            state.set('quiz.averageErrorKm', total / errors.length);
+        }
+    }
+
+    /**
+     * Move on to the next question
+     */
+    _advance() {
+        state.set('quiz.currentIndex', state.get('quiz.currentIndex') + 1);
+        this._nextQuestion();
+    }
+
+    /**
+     * End the quiz and hand the results to the UI
+     * @param {boolean} completed - True if the whole pool was answered
+     */
+    finish(completed = true) {
+        this.stop();
+        this._clearQuestion();
+
+        const stats = {
+            mode: this.mode?.key,
+            difficulty: state.get('quiz.difficulty'),
+            score: state.get('quiz.score'),
+            correct: state.get('quiz.correct'),
+            wrong: state.get('quiz.wrong'),
+            maxStreak: state.get('quiz.maxStreak'),
+            averageErrorKm: state.get('quiz.averageErrorKm'),
+            seed: state.get('quiz.seed'),
+            custom: this.custom,
+            total: state.get('quiz.pool').length,
+            completed,
+            duration: performance.now() - this.startTime,
+            history: this.history
+        };
+
+        if (this.history.length > 0) this._updateTotals(stats);
+        if (this.dailyKey) recordDaily(this.dailyKey, stats);
+
+        audio.play(completed ? 'success' : 'gameOver');
+        uiController.endQuiz(stats);
+        this.mode = null;
+
+        return stats;
+    }
+
+    /**
+     * Add a finished quiz to the persisted lifetime stats
+     */
+    _updateTotals(stats) {
+        state.update({
+            'stats.gamesPlayed': state.get('stats.gamesPlayed') + 1,
+            'stats.totalCorrect': state.get('stats.totalCorrect') + stats.correct,
+            'stats.totalWrong': state.get('stats.totalWrong') + stats.wrong,
+            'stats.bestStreak': Math.max(state.get('stats.bestStreak'), stats.maxStreak),
+            'stats.timeSpent': state.get('stats.timeSpent') + stats.duration
+        });
+    }
+
+    /**
+     * Start the per-question countdown if the quiz has a time limit
+     */
+    _startTimer() {
+        const limit = state.get('quiz.timeLimit');
+        state.set('quiz.timeRemaining', limit);
+        uiController.updateTimer(limit);
+        if (!state.get('quiz.paused')) this._runTimer();
+    }
+
+    /**
+     * Count down from quiz.timeRemaining (no-op without a time limit)
+     */
+    _runTimer() {
+        if (!state.get('quiz.timeLimit')) return;
+
+        const interval = setInterval(() => {
+            const remaining = state.get('quiz.timeRemaining') - 1;
+            state.set('quiz.timeRemaining', remaining);
+            uiController.updateTimer(remaining);
+
+            if (remaining <= 0) {
+                this._onTimeout();
+            } else if (remaining <= CONFIG.quiz.countdownWarning) {
+                audio.play('countdown');
+            }
+        }, 1000);
+
+        state.set('quiz.timerInterval', interval);
+    }
+
+    /**
+     * Stop the countdown
+     * @returns {number} Seconds that were left on the clock
+     */
+    _stopTimer() {
+        const interval = state.get('quiz.timerInterval');
+        if (interval) {
+            clearInterval(interval);
+            state.set('quiz.timerInterval', null);
+        }
+        return Math.max(0, state.get('quiz.timeRemaining') || 0);
+    }
+
+    /**
+     * Run a callback after the reveal delay
+     */
+    _schedule(callback) {
+        this._clearPending();
+        this.advanceCallback = callback;
+        this.advanceTimeout = setTimeout(() => {
+            this.advanceTimeout = null;
+            this.advanceCallback = null;
+            callback();
+        }, CONFIG.quiz.revealDelay);
+    }
+
+    /**
+     * Cancel a scheduled advance
+     */
+    _clearPending() {
+        if (this.advanceTimeout) {
+            clearTimeout(this.advanceTimeout);
+            this.advanceTimeout = null;
+            this.advanceCallback = null;
+        }
+    }
+
+    /**
+     * Reset per-question visuals
+     */
+    _clearQuestion() {
+        countryRenderer.clearHighlight();
+        markers.clear();
+        uiController.hideQuestionFlag();
+        uiController.clearOptions();
+        uiController.hideTextInput();
+        state.set('quiz.mcqOptions', []);
+        uiController.hideHints();
+        this.neighbours = null;
+        this.pair = null;
+        this.hints = [];
+    }
+}
+
+// Singleton instance
+export const quizEngine = new QuizEngine();
+export default quizEngine;
@@ -0,0 +1,96 @@
+/**
+ * Globe Map Quiz - Share Links
+ * Quiz settings and country deep links carried in the URL hash
+ */
+
+import { CONFIG } from '../core/config.js';
+import { isValidPair } from './pool.js';
+
+const TIERS = ['all', 'largest', 'microstates'];
+
+/**
+ * Non-negative integer from a hash value, or null
+ */
+function parseCount(value) {
+    if (value === null || !/^\d+$/.test(value)) return null;
+    return Number(value);
+}
+
+/**
+ * Hash for a quiz, e.g. "#mode=custom&difficulty=hard&regions=Europe&count=20..."
+ * @param {Object} quiz
+ * @param {string} quiz.mode - Mode key
+ * @param {string} quiz.difficulty
+ * @param {Iterable<string>} quiz.regions - Selected continents/subregions
+ * @param {number} quiz.seed - Seed for the questions and options
+ * @param {number|string} quiz.questionCount - Custom quizzes only; number or 'all'
+ * @param {number} quiz.timeLimit - Custom quizzes only; seconds per question (0 = off)
+ * @param {number} quiz.lives - Custom quizzes only
+ * @param {string} quiz.given - Custom quizzes only
+ * @param {string} quiz.find - Custom quizzes only
+ * @param {string} quiz.tier - Custom quizzes only
+ */
+export function quizHash(quiz) {
+    const params = new URLSearchParams({
+        mode: quiz.mode,
+        difficulty: quiz.difficulty,
+        regions: [...quiz.regions].join(','),
+        seed: quiz.seed
+    });
+    // Other modes take their count, time and lives from the difficulty
+    if (quiz.mode === CONFIG.modes.CUSTOM.key) {
+        params.set('count', quiz.questionCount);
+        params.set('time', quiz.timeLimit);
+        params.set('lives', quiz.lives);
+        params.set('given', quiz.given);
+        params.set('find', quiz.find);
+        params.set('tier', quiz.tier);
+    }
+    return `#${params}`;
+}
+
+/**
+ * Read a link hash. Values that don't parse are left out, so a damaged
+ * link still opens with defaults for what's missing.
+ * @returns {{ country: string }|{ quiz: Object }|null}
+ */
+export function parseHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+
+    const country = params.get('country');
+    if (country) return { country: country.toUpperCase() };
+
+    // Practice pools depend on the player's own memory, so they aren't linked
+    const mode = params.get('mode');
+    if (!Object.values(CONFIG.modes).some(m => m.key === mode && !m.practice)) return null;
+
+    const quiz = { mode };
+
+    const difficulty = params.get('difficulty');
+    if (CONFIG.difficulty[difficulty]) quiz.difficulty = difficulty;
+
+    if (params.has('regions')) {
+        quiz.regions = new Set(params.get('regions').split(',').filter(Boolean));
+    }
+
+    const count = params.get('count') === 'all' ? 'all' : parseCount(params.get('count'));
+    if (count === 'all' || count > 0) quiz.questionCount = count;
+
+    const time = parseCount(params.get('time'));
+    if (time !== null) quiz.timeLimit = time;
+
+    const lives = parseCount(params.get('lives'));
+    if (lives > 0) quiz.lives = lives;
+
+    const seed = parseCount(params.get('seed'));
+    if (seed !== null && seed < 2 ** 32) quiz.seed = seed;
+
+    const given = params.get('given');
+    const find = params.get('find');
+    if (given && find && isValidPair(given, find)) Object.assign(quiz, { given, find });
+
+    const tier = params.get('tier');
+    if (TIERS.includes(tier)) quiz.tier = tier;
+
+    return { quiz };
+}
@@ -7,10 +7,32 @@ import { CONFIG } from '../core/config.js';
 import { state } from '../core/state.js';
 import { audio } from '../utils/audio.js';
 import { countryRenderer } from '../globe/countries.js';
+import { flags } from '../utils/flags.js';
+import { formatKm } from '../utils/geo.js';
+import { getMode, filterPool, listRegions, isValidPair, defaultFind, needsDetail } from '../quiz/pool.js';
+import { memory } from '../quiz/memory.js';
+import { dailyCalendar, dailyStreak, getDailyResult } from '../quiz/daily.js';
+import { quizHash } from '../quiz/share.js';
+import { randomSeed } from '../utils/random.js';
+
+// Tooltips for the mastery badges in the country list
+const MASTERY_LABELS = {
+    new: 'Not practised yet',
+    learning: 'Learning',
+    reviewing: 'Reviewing',
+    mastered: 'Mastered'
+};
 
 class UIController {
     constructor() {
         this.elements = {};
+        this.onOptionSelect = null;
+        this.onTextAnswer = null;
+        this.onHint = null;
+        this.feedbackTimeout = null;
+        this.results = null;
+        this.sharedSeed = null;     // Seed the next quiz started from the modal uses
+        this.masteryStale = false;  // Answers came in since the list's badges were drawn
     }
 
     /**
@@ -48,6 +70,7 @@ class UIController {
             soundVolume: document.getElementById('sound-volume'),
             autoRotate: document.getElementById('auto-rotate'),
             showBorders: document.getElementById('show-borders'),
+            distanceScoring: document.getElementById('distance-scoring'),
 
             // HUD
             hud: document.getElementById('hud'),
@@ -55,13 +78,24 @@ class UIController {
             hudStreak: document.querySelector('#hud-streak span'),
             hudLives: document.querySelector('#hud-lives span'),
             hudTimer: document.querySelector('#hud-timer span'),
+            hudError: document.getElementById('hud-error'),
             hudProgress: document.getElementById('hud-progress'),
+            btnSkip: document.getElementById('btn-skip'),
+            btnPause: document.getElementById('btn-pause'),
+
+            // Pause overlay
+            pauseOverlay: document.getElementById('pause-overlay'),
+            btnResume: document.getElementById('btn-resume'),
 
             // Question panel
             questionPanel: document.getElementById('question-panel'),
             questionText: document.getElementById('question-text'),
             questionTarget: document.getElementById('question-target'),
             mcqOptions: document.getElementById('mcq-options'),
+            answerForm: document.getElementById('answer-form'),
+            answerInput: document.getElementById('answer-input'),
+            questionHints: document.getElementById('question-hints'),
+            btnHint: document.getElementById('btn-hint'),
 
             // Feedback
             feedback: document.getElementById('feedback'),
@@ -70,14 +104,34 @@ class UIController {
             countryInfo: document.getElementById('country-info'),
             countryName: document.getElementById('country-name'),
             countryFlag: document.getElementById('country-flag'),
+            questionFlag: document.getElementById('question-flag'),
             countryRegion: document.getElementById('country-region'),
 
             // Quiz modal
             quizModal: document.getElementById('quiz-modal'),
             quizModes: document.querySelector('.quiz-modes'),
             difficultySelect: document.querySelector('.difficulty-select'),
+            quizBuilder: document.getElementById('quiz-builder'),
+            dailyPanel: document.getElementById('daily-panel'),
+            dailySummary: document.getElementById('daily-summary'),
+            dailyCalendar: document.getElementById('daily-calendar'),
+            regionSelect: document.querySelector('.region-select'),
+            regionChips: document.getElementById('region-chips'),
+            quizPreview: document.getElementById('quiz-preview'),
             btnStartQuiz: document.getElementById('btn-start-quiz'),
             btnCancelQuiz: document.getElementById('btn-cancel-quiz'),
+            btnShareQuiz: document.getElementById('btn-share-quiz'),
+
+            // Results modal
+            resultsModal: document.getElementById('results-modal'),
+            resultsTitle: document.getElementById('results-title'),
+            resultsStats: document.getElementById('results-stats'),
+            resultsMissedTitle: document.getElementById('results-missed-title'),
+            resultsMissed: document.getElementById('results-missed'),
+            btnRetryMistakes: document.getElementById('btn-retry-mistakes'),
+            btnPlayAgain: document.getElementById('btn-play-again'),
+            btnCloseResults: document.getElementById('btn-close-results'),
+            btnShareResults: document.getElementById('btn-share-results'),
 
             // Loading
             loadProgress: document.getElementById('load-progress'),
@@ -137,11 +191,29 @@ class UIController {
             countryRenderer.setBordersVisible(e.target.checked);
         });
 
+        // Near-miss scoring checkbox
+        this.elements.distanceScoring?.addEventListener('change', (e) => {
+            state.set('quiz.distanceScoring', e.target.checked);
+        });
+
         // Country search
         this.elements.countrySearch?.addEventListener('input', (e) => {
             this._filterCountryList(e.target.value);
         });
 
+        // Click handler for country items
+        this.elements.countryList?.addEventListener('click', (e) => {
+            const item = e.target.closest('.country-item');
+            if (item) {
+                audio.play('select');
+                const countryId = parseInt(item.dataset.id);
+                countryRenderer.flyToCountry(countryId);
+                countryRenderer.highlight(countryId);
+                this.showCountryInfo(state.get('countries.byId').get(countryId));
+                this._closePanel('side');
+            }
+        });
+
         // Quiz mode buttons
         this.elements.quizModes?.addEventListener('click', (e) => {
             const btn = e.target.closest('.mode-btn');
@@ -160,6 +232,25 @@ class UIController {
             }
         });
 
+        // Custom quiz options
+        this.elements.quizBuilder?.addEventListener('click', (e) => {
+            const btn = e.target.closest('button');
+            const group = btn?.closest('.option-group');
+            if (group && !btn.disabled) {
+                audio.play('click');
+                this._setCustomOption(group.dataset.option, btn.dataset.value);
+            }
+        });
+
+        // Region filter chips
+        this.elements.regionChips?.addEventListener('click', (e) => {
+            const chip = e.target.closest('.region-chip');
+            if (chip) {
+                audio.play('click');
+                this._toggleRegion(chip.dataset.region);
+            }
+        });
+
         // Start quiz button
         this.elements.btnStartQuiz?.addEventListener('click', () => {
             audio.play('click');
@@ -172,6 +263,84 @@ class UIController {
             this._closeQuizModal();
         });
 
+        // Results: review a mistake on the globe
+        this.elements.resultsMissed?.addEventListener('click', (e) => {
+            const item = e.target.closest('.missed-item');
+            if (item) {
+                audio.play('select');
+                this._reviewMistake(item);
+            }
+        });
+
+        this.elements.btnRetryMistakes?.addEventListener('click', () => {
+            audio.play('click');
+            this._retryMistakes();
+        });
+
+        this.elements.btnPlayAgain?.addEventListener('click', () => {
+            audio.play('click');
+            this._closeResults();
+            this._openQuizModal();
+        });
+
+        // Share links
+        this.elements.btnShareQuiz?.addEventListener('click', () => {
+            audio.play('click');
+            this._shareQuiz();
+        });
+
+        this.elements.btnShareResults?.addEventListener('click', () => {
+            audio.play('click');
+            this._shareResults();
+        });
+
+        this.elements.btnCloseResults?.addEventListener('click', () => {
+            audio.play('click');
+            this._closeResults();
+        });
+
+        // Multiple choice answers
+        this.elements.mcqOptions?.addEventListener('click', (e) => {
+            const btn = e.target.closest('button');
+            if (btn && !btn.disabled && this.onOptionSelect) {
+                audio.play('click');
+                this.onOptionSelect(parseInt(btn.dataset.id));
+            }
+        });
+
+        // Pause and skip
+        this.elements.btnPause?.addEventListener('click', () => {
+            audio.play('click');
+            this._togglePause();
+        });
+
+        this.elements.btnResume?.addEventListener('click', () => {
+            audio.play('click');
+            this._togglePause();
+        });
+
+        this.elements.btnSkip?.addEventListener('click', () => {
+            audio.play('click');
+            this._skipQuestion();
+        });
+
+        // Hints
+        this.elements.btnHint?.addEventListener('click', () => {
+            if (this.onHint) {
+                audio.play('click');
+                this.onHint();
+            }
+        });
+
+        // Typed answers
+        this.elements.answerForm?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const value = this.elements.answerInput?.value || '';
+            if (value.trim() && this.onTextAnswer) {
+                this.onTextAnswer(value);
+            }
+        });
+
         // Click outside panels to close
         document.addEventListener('click', (e) => {
             if (this.elements.sidePanel?.classList.contains('open')) {
@@ -190,11 +359,28 @@ class UIController {
 
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
-            // Escape key
+            // Escape key - close whatever is open, otherwise pause a running quiz
             if (e.key === 'Escape') {
-                this._closePanel('side');
-                this._closePanel('settings');
-                this._closeQuizModal();
+                if (state.get('quiz.active') && !this._isOverlayOpen()) {
+                    this._togglePause();
+                } else {
+                    this._closePanel('side');
+                    this._closePanel('settings');
+                    this._closeQuizModal();
+                    this._closeResults();
+                }
+            }
+            // P key - pause or resume
+            if (e.key === 'p' && !e.ctrlKey && !e.metaKey) {
+                if (document.activeElement.tagName !== 'INPUT') {
+                    this._togglePause();
+                }
+            }
+            // N key - skip the question
+            if (e.key === 'n' && !e.ctrlKey && !e.metaKey) {
+                if (document.activeElement.tagName !== 'INPUT') {
+                    this._skipQuestion();
+                }
             }
             // M key - toggle menu
             if (e.key === 'm' && !e.ctrlKey && !e.metaKey) {
@@ -209,6 +395,19 @@ class UIController {
                     this._togglePanel('settings');
                 }
             }
+            // 1-9 - pick a multiple choice answer
+            if (/^[1-9]$/.test(e.key) && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                if (document.activeElement.tagName !== 'INPUT') {
+                    this._selectOptionByKey(parseInt(e.key));
+                }
+            }
+            // H key - take a hint
+            if (e.key === 'h' && !e.ctrlKey && !e.metaKey) {
+                if (document.activeElement.tagName !== 'INPUT' && this.onHint) {
+                    audio.play('click');
+                    this.onHint();
+                }
+            }
             // Q key - open quiz modal
             if (e.key === 'q' && !e.ctrlKey && !e.metaKey) {
                 if (document.activeElement.tagName !== 'INPUT' && !state.get('quiz.active')) {
@@ -248,6 +447,32 @@ class UIController {
             }
         });
 
+        state.subscribe('quiz.skipsLeft', (skips) => {
+            if (!this.elements.btnSkip) return;
+            this.elements.btnSkip.querySelector('span').textContent = skips;
+            this.elements.btnSkip.disabled = skips <= 0;
+        });
+
+        // Pause overlay hides the question and blocks the globe
+        state.subscribe('quiz.paused', (paused) => {
+            this.elements.pauseOverlay?.classList.toggle('hidden', !paused);
+            document.body.classList.toggle('paused', paused);
+            if (this.elements.btnPause) {
+                this.elements.btnPause.textContent = paused ? '▶' : '⏸';
+            }
+        });
+
+        // Average distance off for point answers
+        state.subscribe('quiz.averageErrorKm', (km) => {
+            if (!this.elements.hudError) return;
+            this.elements.hudError.classList.toggle('hidden', km === null);
+            this.elements.hudError.querySelector('span').textContent = km === null ? '--' : formatKm(km);
+        });
+
+        if (this.elements.distanceScoring) {
+            this.elements.distanceScoring.checked = state.get('quiz.distanceScoring');
+        }
+
         // Theme changes
         state.subscribe('theme', (theme) => {
             this._updateActiveThemeButton(theme);
@@ -274,6 +499,7 @@ class UIController {
         if (panel === 'side') {
             this.elements.sidePanel?.classList.toggle('open');
             this._closePanel('settings');
+            if (this.masteryStale) this._updateMasteryBadges();
         } else if (panel === 'settings') {
             this.elements.settingsPanel?.classList.toggle('open');
             this._closePanel('side');
@@ -310,6 +536,10 @@ class UIController {
             const countries = state.get('countries.data');
             if (countries && countries.length > 0) {
                 this._renderCountryList(countries);
+                // Detailed data adds microstates later
+                state.subscribe('countries.data', data => this._renderCountryList(data));
+                // Answers update the badges when the list is next opened, not mid-quiz
+                state.subscribe('stats.memory', () => { this.masteryStale = true; });
             } else {
                 setTimeout(checkCountries, 100);
             }
@@ -325,23 +555,37 @@ class UIController {
 
         const sorted = [...countries].sort((a, b) => a.name.localeCompare(b.name));
 
-        this.elements.countryList.innerHTML = sorted.map(country => `
+        this.elements.countryList.innerHTML = sorted.map(country => {
+            const level = memory.mastery(country);
+            return `
             <div class="country-item" data-id="${country.id}">
                 <span class="country-name">${country.name}</span>
+                <span class="mastery mastery-${level}" title="${MASTERY_LABELS[level]}"></span>
             </div>
-        `).join('');
+        `;
+        }).join('');
 
-        // Click handler for country items
-        this.elements.countryList.addEventListener('click', (e) => {
-            const item = e.target.closest('.country-item');
-            if (item) {
-                audio.play('select');
-                const countryId = parseInt(item.dataset.id);
-                countryRenderer.flyToCountry(countryId);
-                countryRenderer.highlight(countryId);
-                this._closePanel('side');
-            }
+        this.masteryStale = false;
+
+        // Keep any active search applied after a re-render
+        this._filterCountryList(this.elements.countrySearch?.value || '');
+    }
+
+    /**
+     * Redraw the mastery badges in the country list without rebuilding it
+     */
+    _updateMasteryBadges() {
+        const byId = state.get('countries.byId');
+        this.elements.countryList?.querySelectorAll('.country-item').forEach(item => {
+            const country = byId.get(parseInt(item.dataset.id));
+            const badge = item.querySelector('.mastery');
+            if (!country || !badge) return;
+
+            const level = memory.mastery(country);
+            badge.className = `mastery mastery-${level}`;
+            badge.title = MASTERY_LABELS[level];
         });
+        this.masteryStale = false;
     }
 
     /**
@@ -365,6 +609,49 @@ class UIController {
         buttons?.forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
         state.set('quiz.mode', btn.dataset.mode);
+        this.elements.quizBuilder?.classList.toggle('hidden', btn.dataset.mode !== 'custom');
+        this._syncDailyPanel();
+        this._updateQuizPreview();
+    }
+
+    /**
+     * Show the daily challenge panel in place of the region and difficulty
+     * choices (every player gets the same daily quiz)
+     */
+    _syncDailyPanel() {
+        const daily = state.get('quiz.mode') === 'daily';
+        this.elements.dailyPanel?.classList.toggle('hidden', !daily);
+        this.elements.regionSelect?.classList.toggle('hidden', daily);
+        this.elements.difficultySelect?.classList.toggle('hidden', daily);
+        if (daily) this._renderDailyPanel();
+    }
+
+    /**
+     * Today's challenge, the player's streak and a calendar of recent days
+     */
+    _renderDailyPanel() {
+        const today = getDailyResult();
+        const streak = dailyStreak();
+        const parts = [getMode('daily').name, `${CONFIG.daily.questionCount} questions`];
+        if (streak > 0) parts.push(`🔥 ${streak}-day streak`);
+        if (today) parts.push(`Today: ${today.score} pts (${today.correct}/${today.total}), replays don't count`);
+
+        if (this.elements.dailySummary) {
+            this.elements.dailySummary.textContent = parts.join(' · ');
+        }
+
+        if (this.elements.dailyCalendar) {
+            const days = dailyCalendar();
+            const todayKey = days[days.length - 1].key;
+            this.elements.dailyCalendar.innerHTML = days.map(({ key, result }) => {
+                const classes = ['daily-day'];
+                if (result) classes.push('played');
+                if (key === todayKey) classes.push('today');
+                const title = result ? `${key}: ${result.score} pts (${result.correct}/${result.total})` : key;
+                const accuracy = result && result.total ? result.correct / result.total : 0;
+                return `<span class="${classes.join(' ')}" style="--accuracy: ${accuracy}" title="${title}"></span>`;
+            }).join('');
+        }
     }
 
     /**
@@ -375,15 +662,234 @@ class UIController {
         buttons?.forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
         state.set('quiz.difficulty', btn.dataset.diff);
+        this._updateQuizPreview();
+    }
+
+    /**
+     * Set one of the custom quiz options from its button value
+     */
+    _setCustomOption(option, value) {
+        const parsed = value === 'all' ? value : Number.isNaN(Number(value)) ? value : Number(value);
+        const updates = { [`quiz.custom.${option}`]: parsed };
+
+        // Keep the given/find pair playable
+        if (option === 'given' && !isValidPair(parsed, state.get('quiz.custom.find'))) {
+            updates['quiz.custom.find'] = defaultFind(parsed);
+        }
+
+        state.update(updates);
+        this._syncQuizBuilder();
+    }
+
+    /**
+     * Mark the chosen custom options and disable unplayable answer types
+     */
+    _syncQuizBuilder() {
+        const custom = state.get('quiz.custom');
+        this.elements.quizBuilder?.querySelectorAll('.option-group').forEach(group => {
+            const option = group.dataset.option;
+            group.querySelectorAll('button').forEach(btn => {
+                btn.classList.toggle('active', btn.dataset.value === String(custom[option]));
+                if (option === 'find') {
+                    btn.disabled = !isValidPair(custom.given, btn.dataset.value);
+                }
+            });
+        });
+        this._updateQuizPreview();
+    }
+
+    /**
+     * Toggle a continent/subregion filter ('all' clears the selection)
+     */
+    _toggleRegion(region) {
+        const regions = new Set(state.get('quiz.custom.regions'));
+        if (region === 'all') {
+            regions.clear();
+        } else if (regions.has(region)) {
+            regions.delete(region);
+        } else {
+            regions.add(region);
+        }
+
+        state.set('quiz.custom.regions', regions);
+        this._renderRegionChips();
+        this._updateQuizPreview();
+    }
+
+    /**
+     * Render a chip per continent, followed by its subregions
+     */
+    _renderRegionChips() {
+        if (!this.elements.regionChips) return;
+
+        const selected = state.get('quiz.custom.regions');
+        const chip = (region, label, className = '') => `
+            <button class="region-chip ${className} ${selected.has(region) ? 'active' : ''}"
+                data-region="${region}">${label}</button>`;
+
+        const groups = listRegions(state.get('countries.data') || []).map(({ name, subregions }) => `
+            <div class="region-group">
+                ${chip(name, name, 'continent')}
+                ${subregions.map(sub => chip(sub, sub)).join('')}
+            </div>
+        `);
+
+        this.elements.regionChips.innerHTML = `
+            <div class="region-group">
+                <button class="region-chip ${selected.size === 0 ? 'active' : ''}" data-region="all">Everywhere</button>
+            </div>
+            ${groups.join('')}
+        `;
+    }
+
+    /**
+     * Show how many countries the current settings can ask about, and
+     * block starting a quiz with none
+     * @returns {number} Matching countries
+     */
+    _updateQuizPreview() {
+        const mode = getMode(state.get('quiz.mode') || 'locate');
+        const settings = CONFIG.difficulty[state.get('quiz.difficulty')] || CONFIG.difficulty.medium;
+        const countries = filterPool(state.get('countries.data') || [], {
+            mode,
+            regions: state.get('quiz.custom.regions')
+        });
+        // Practice only asks countries that are due, weak or new
+        const matching = mode.practice ? memory.practiceCount(countries) : countries.length;
+        const questions = mode.allCountries ? matching : Math.min(matching, mode.questionCount ?? settings.questionCount);
+
+        // Most microstates only come with the detailed data
+        const loading = needsDetail(mode) && !['ready', 'failed'].includes(countryRenderer.detailState);
+        if (loading) {
+            countryRenderer.loadDetail().then(() => this._updateQuizPreview());
+        }
+
+        if (this.elements.quizPreview) {
+            this.elements.quizPreview.textContent = loading
+                ? 'Loading small countries…'
+                : matching === 0
+                    ? mode.practice ? 'Nothing to practise: no countries are due or new' : 'No countries match these settings'
+                    : `${matching} ${matching === 1 ? 'country matches' : 'countries match'} · ${questions} questions`;
+            this.elements.quizPreview.classList.toggle('error', !loading && matching === 0);
+        }
+        if (this.elements.btnStartQuiz) {
+            this.elements.btnStartQuiz.disabled = loading || matching === 0;
+        }
+        // Practice pools come from each player's own memory, so a link can't repeat them
+        this.elements.btnShareQuiz?.classList.toggle('hidden', Boolean(mode.practice));
+
+        return loading ? 0 : matching;
     }
 
     /**
      * Open quiz modal
      */
     _openQuizModal() {
+        this._closeResults();
+        this._renderRegionChips();
+        this._syncQuizBuilder();
+        this._syncDailyPanel();
+        // Daily quizzes set their own difficulty; show the one now in effect
+        this.elements.difficultySelect?.querySelectorAll('.diff-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.diff === state.get('quiz.difficulty'));
+        });
         this.elements.quizModal?.classList.remove('hidden');
     }
 
+    /**
+     * Open the quiz modal set up from a shared link
+     * @param {Object} quiz - Settings read from the link by parseHash()
+     */
+    openSharedQuiz(quiz) {
+        if (state.get('quiz.active')) return;
+
+        const { mode, difficulty, seed, ...custom } = quiz;
+        state.update({
+            'quiz.custom': { ...state.get('quiz.custom'), ...custom },
+            'quiz.mode': mode
+        });
+        if (difficulty) state.set('quiz.difficulty', difficulty);
+        this.sharedSeed = seed ?? null;
+
+        const btn = this.elements.quizModes?.querySelector(`.mode-btn[data-mode="${mode}"]`);
+        if (btn) this._selectQuizMode(btn);
+        this._openQuizModal();
+    }
+
+    /**
+     * Copy a link to the quiz set up in the modal. Starting it from here
+     * plays the same questions as the link.
+     */
+    _shareQuiz() {
+        this.sharedSeed = randomSeed();
+        this._copyLink(quizHash({
+            ...state.get('quiz.custom'),
+            mode: state.get('quiz.mode') || 'locate',
+            difficulty: state.get('quiz.difficulty') || 'medium',
+            seed: this.sharedSeed
+        }), this.elements.btnShareQuiz);
+    }
+
+    /**
+     * Copy a link to the quiz just played
+     */
+    _shareResults() {
+        if (!this.results?.custom || getMode(this.results.mode).practice) return;
+        this._copyLink(quizHash({
+            ...this.results.custom,
+            mode: this.results.mode,
+            difficulty: this.results.difficulty,
+            seed: this.results.seed
+        }), this.elements.btnShareResults);
+    }
+
+    /**
+     * Copy this page's URL with a hash to the clipboard, confirming on the button
+     */
+    _copyLink(hash, button) {
+        const url = `${location.origin}${location.pathname}${location.search}${hash}`;
+        if (!navigator.clipboard) {
+            // Clipboard access needs a secure context
+            window.prompt('Copy this link:', url);
+            return;
+        }
+
+        navigator.clipboard.writeText(url).then(() => {
+            if (!button) return;
+            const label = button.textContent;
+            button.textContent = 'Copied!';
+            setTimeout(() => { button.textContent = label; }, 1500);
+        }).catch(() => window.prompt('Copy this link:', url));
+    }
+
+    /**
+     * Whether a panel or modal is open over the globe
+     */
+    _isOverlayOpen() {
+        const { sidePanel, settingsPanel, quizModal, resultsModal } = this.elements;
+        return Boolean(sidePanel?.classList.contains('open') ||
+            settingsPanel?.classList.contains('open') ||
+            (quizModal && !quizModal.classList.contains('hidden')) ||
+            (resultsModal && !resultsModal.classList.contains('hidden')));
+    }
+
+    /**
+     * Pause a running quiz, or resume a paused one
+     */
+    _togglePause() {
+        if (!state.get('quiz.active')) return;
+        const type = state.get('quiz.paused') ? 'quizResume' : 'quizPause';
+        window.dispatchEvent(new CustomEvent(type));
+    }
+
+    /**
+     * Ask the quiz to skip the current question
+     */
+    _skipQuestion() {
+        if (!state.get('quiz.active') || state.get('quiz.paused')) return;
+        window.dispatchEvent(new CustomEvent('quizSkip'));
+    }
+
     /**
      * Close quiz modal
      */
@@ -393,27 +899,36 @@ class UIController {
 
     /**
      * Start quiz
+     * @param {number[]|null} countryIds - Ask about exactly these countries
      */
-    _startQuiz() {
+    _startQuiz(countryIds = null) {
         const mode = state.get('quiz.mode') || 'locate';
-        const difficulty = state.get('quiz.difficulty') || 'medium';
+        // The daily challenge is the same difficulty for everyone
+        const difficulty = mode === 'daily' ? CONFIG.daily.difficulty : state.get('quiz.difficulty') || 'medium';
+
+        // Nothing to ask about with these settings
+        if (!countryIds && this._updateQuizPreview() === 0) return;
 
-        // Set up quiz state
-        const diffSettings = CONFIG.difficulty[difficulty];
+        // Set up quiz state; custom quizzes bring their own time and lives
+        const settings = mode === 'custom' ? state.get('quiz.custom') : CONFIG.difficulty[difficulty];
+        state.resetQuiz();
         state.update({
             'quiz.active': true,
             'quiz.mode': mode,
             'quiz.difficulty': difficulty,
-            'quiz.lives': diffSettings.lives,
-            'quiz.timeLimit': diffSettings.timeLimit,
+            'quiz.lives': settings.lives,
+            'quiz.timeLimit': settings.timeLimit,
+            'quiz.skipsLeft': CONFIG.difficulty[difficulty].skips,
             'quiz.score': 0,
             'quiz.streak': 0,
             'quiz.correct': 0,
             'quiz.wrong': 0,
-            'quiz.currentIndex': 0
+            'quiz.currentIndex': 0,
+            'quiz.averageErrorKm': null
         });
 
         // Show HUD
+        this.hideCountryInfo();
         this.elements.hud?.classList.remove('hidden');
         this.elements.questionPanel?.classList.remove('hidden');
 
@@ -421,8 +936,10 @@ class UIController {
         this._closeQuizModal();
 
         // Emit event for quiz logic to handle
+        const seed = this.sharedSeed;
+        this.sharedSeed = null;
         window.dispatchEvent(new CustomEvent('quizStart', {
-            detail: { mode, difficulty }
+            detail: { mode, difficulty, countryIds, seed }
         }));
     }
 
@@ -436,7 +953,9 @@ class UIController {
         this.elements.feedback.className = type;
         this.elements.feedback.classList.remove('hidden');
 
-        setTimeout(() => {
+        // A newer message restarts the display time
+        clearTimeout(this.feedbackTimeout);
+        this.feedbackTimeout = setTimeout(() => {
             this.elements.feedback.classList.add('hidden');
         }, 1500);
     }
@@ -453,6 +972,144 @@ class UIController {
         }
     }
 
+    /**
+     * Show a flag as the question target
+     */
+    showQuestionFlag(iso) {
+        if (this.elements.questionTarget) {
+            this.elements.questionTarget.textContent = '';
+        }
+        this._showFlag(this.elements.questionFlag, iso);
+    }
+
+    /**
+     * Remove the question flag
+     */
+    hideQuestionFlag() {
+        this._showFlag(this.elements.questionFlag, null);
+    }
+
+    /**
+     * Render a flag into an <img>, hiding it until ready or if unavailable.
+     * Only the latest request per element is applied.
+     */
+    _showFlag(img, iso) {
+        if (!img) return;
+        img.classList.add('hidden');
+        img.dataset.iso = iso || '';
+        if (!iso) return;
+
+        flags.getCanvas(iso).then(canvas => {
+            if (img.dataset.iso !== iso) return;
+            img.src = canvas.toDataURL();
+            img.style.width = `${CONFIG.flags.sizes[state.get('ui.flagSize')] || canvas.width}px`;
+            img.classList.remove('hidden');
+        }).catch(error => console.warn(error.message));
+    }
+
+    /**
+     * Show multiple choice answers
+     * @param {Array} options - Country objects to offer
+     * @param {Function} onSelect - Called with the chosen country ID
+     * @param {Function} label - Text shown for a country (its name by default)
+     */
+    showOptions(options, onSelect, label = country => country.name) {
+        if (!this.elements.mcqOptions) return;
+
+        this.onOptionSelect = onSelect;
+        this.elements.mcqOptions.innerHTML = options.map((country, i) => `
+            <button data-id="${country.id}"><span class="option-key">${i + 1}</span>${label(country)}</button>
+        `).join('');
+        this.elements.mcqOptions.classList.remove('hidden');
+    }
+
+    /**
+     * Choose the nth multiple choice answer (1-based), as if clicked
+     */
+    _selectOptionByKey(n) {
+        const btn = this.elements.mcqOptions?.querySelectorAll('button')[n - 1];
+        if (btn && !btn.disabled && this.onOptionSelect) {
+            audio.play('click');
+            this.onOptionSelect(parseInt(btn.dataset.id));
+        }
+    }
+
+    /**
+     * Mark the correct and chosen options and lock the buttons
+     */
+    revealOptions(correctId, chosenId) {
+        const buttons = this.elements.mcqOptions?.querySelectorAll('button');
+        buttons?.forEach(btn => {
+            const id = parseInt(btn.dataset.id);
+            btn.disabled = true;
+            btn.classList.toggle('correct', id === correctId);
+            btn.classList.toggle('wrong', id === chosenId && id !== correctId);
+        });
+    }
+
+    /**
+     * Remove multiple choice answers
+     */
+    clearOptions() {
+        this.onOptionSelect = null;
+        if (this.elements.mcqOptions) {
+            this.elements.mcqOptions.innerHTML = '';
+            this.elements.mcqOptions.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Show the typed answer field
+     * @param {Function} onSubmit - Called with the entered text
+     */
+    showTextInput(onSubmit) {
+        if (!this.elements.answerForm) return;
+
+        this.onTextAnswer = onSubmit;
+        this.elements.answerInput.value = '';
+        this.elements.answerForm.classList.remove('hidden');
+        this.elements.answerInput.focus();
+    }
+
+    /**
+     * Hide the typed answer field
+     */
+    hideTextInput() {
+        this.onTextAnswer = null;
+        this.elements.answerForm?.classList.add('hidden');
+        this.elements.answerInput?.blur();
+    }
+
+    /**
+     * Show the hints given so far and a button for the next one
+     * @param {string[]} hints - Hint texts already revealed
+     * @param {number|null} nextPenalty - Share of points the next hint costs, null if none left
+     * @param {Function} onHint - Called when the player asks for a hint
+     */
+    showHints(hints, nextPenalty, onHint) {
+        const { questionHints, btnHint } = this.elements;
+
+        if (questionHints) {
+            questionHints.innerHTML = hints.map(text => `<li>${text}</li>`).join('');
+            questionHints.classList.toggle('hidden', hints.length === 0);
+        }
+
+        this.onHint = nextPenalty !== null ? onHint : null;
+        if (btnHint) {
+            btnHint.textContent = `💡 Hint (−${Math.round((nextPenalty || 0) * 100)}%)`;
+            btnHint.classList.toggle('hidden', nextPenalty === null);
+        }
+    }
+
+    /**
+     * Remove hints from the question panel
+     */
+    hideHints() {
+        this.onHint = null;
+        this.elements.questionHints?.classList.add('hidden');
+        this.elements.btnHint?.classList.add('hidden');
+    }
+
     /**
      * Update HUD progress
      */
@@ -480,7 +1137,20 @@ class UIController {
         if (this.elements.countryName) {
             this.elements.countryName.textContent = country.name;
         }
-        // Flag would be set here if we had flag data
+        if (this.elements.countryFlag) {
+            this.elements.countryFlag.alt = `Flag of ${country.name}`;
+        }
+        this._showFlag(this.elements.countryFlag, country.iso2);
+
+        if (this.elements.countryRegion) {
+            const region = [country.subregion, country.continent].filter(Boolean);
+            const details = [
+                region.length ? [...new Set(region)].join(', ') : null,
+                country.capital ? `Capital: ${country.capital.name}` : null,
+                country.population ? `Population: ${country.population.toLocaleString()}` : null
+            ];
+            this.elements.countryRegion.textContent = details.filter(Boolean).join(' · ');
+        }
 
         this.elements.countryInfo.classList.remove('hidden');
     }
@@ -502,8 +1172,125 @@ class UIController {
 
         state.set('quiz.active', false);
 
-        // Could show a results modal here
-        console.log('Quiz ended:', stats);
+        this._showResults(stats);
+    }
+
+    /**
+     * Fill in and open the results screen
+     */
+    _showResults(stats) {
+        this.results = stats;
+
+        const answered = stats.correct + stats.wrong;
+        const hints = stats.history.reduce((sum, entry) => sum + entry.hints.length, 0);
+        const times = stats.history.map(entry => entry.time);
+        const averageTime = times.length ? times.reduce((sum, t) => sum + t, 0) / times.length : 0;
+
+        const items = [
+            ['Score', stats.score],
+            ['Accuracy', answered ? `${Math.round(stats.correct / answered * 100)}%` : '–'],
+            ['Max streak', stats.maxStreak],
+            ['Answered', `${answered}/${stats.total}`],
+            ['Per question', `${(averageTime / 1000).toFixed(1)}s`],
+            ['Hints', hints]
+        ];
+        if (stats.averageErrorKm !== null) {
+            items.push(['Avg error', formatKm(stats.averageErrorKm)]);
+        }
+
+        if (this.elements.resultsTitle) {
+            this.elements.resultsTitle.textContent = stats.completed ? 'Quiz Complete' : 'Game Over';
+        }
+        if (this.elements.resultsStats) {
+            this.elements.resultsStats.innerHTML = items.map(([label, value]) => `
+                <div class="result-stat"><strong>${value}</strong><span>${label}</span></div>
+            `).join('');
+        }
+
+        this._renderMistakes(stats);
+        // Neither a retry of given countries nor a practice pool can be rebuilt from a link
+        this.elements.btnShareResults?.classList.toggle('hidden', !stats.custom || Boolean(getMode(stats.mode).practice));
+        this.elements.resultsModal?.classList.remove('hidden');
+    }
+
+    /**
+     * List every missed question; the right answer shows once clicked
+     */
+    _renderMistakes(stats) {
+        const byId = state.get('countries.byId');
+        const byCapital = getMode(stats.mode).subject === 'capital';
+
+        const items = stats.history
+            .map((entry, index) => ({ entry, index, country: byId.get(entry.countryId) }))
+            .filter(({ entry, country }) => !entry.correct && country)
+            .map(({ entry, index, country }) => {
+                const answered = byId.get(entry.answerId);
+                let given = (byCapital ? answered?.capital?.name : answered?.name) || 'No answer';
+                if (entry.skipped) given = 'Skipped';
+                else if (entry.errorKm !== undefined) given = `${formatKm(entry.errorKm)} off`;
+                const answer = byCapital ? `${country.capital.name}, ${country.name}` : country.name;
+                const hints = entry.hints.length
+                    ? ` <span class="missed-hints" title="Hints taken">💡${entry.hints.length}</span>` : '';
+                return `
+                <li class="missed-item" data-index="${index}">
+                    <span class="missed-given">#${index + 1} · ${given}${hints}</span>
+                    <span class="missed-answer">${answer}</span>
+                </li>
+            `;
+            });
+
+        if (this.elements.resultsMissed) {
+            this.elements.resultsMissed.innerHTML = items.join('');
+        }
+        if (this.elements.resultsMissedTitle) {
+            this.elements.resultsMissedTitle.textContent = items.length ? 'Mistakes' : 'No mistakes!';
+        }
+        if (this.elements.btnRetryMistakes) {
+            this.elements.btnRetryMistakes.disabled = items.length === 0;
+        }
+    }
+
+    /**
+     * Show a missed question's answer and its country on the globe
+     */
+    _reviewMistake(item) {
+        const entry = this.results?.history[parseInt(item.dataset.index)];
+        if (!entry) return;
+
+        this.elements.resultsMissed?.querySelectorAll('.missed-item.active')
+            .forEach(other => other.classList.remove('active'));
+        item.classList.add('revealed', 'active');
+
+        countryRenderer.highlight(entry.countryId);
+        countryRenderer.flyToCountry(entry.countryId);
+    }
+
+    /**
+     * Start a new quiz in the same mode asking only the missed countries
+     */
+    _retryMistakes() {
+        if (!this.results) return;
+
+        const countryIds = [...new Set(this.results.history
+            .filter(entry => !entry.correct)
+            .map(entry => entry.countryId))];
+        if (countryIds.length === 0) return;
+
+        state.update({
+            'quiz.mode': this.results.mode,
+            'quiz.difficulty': this.results.difficulty
+        });
+        this._closeResults();
+        this._startQuiz(countryIds);
+    }
+
+    /**
+     * Close the results screen
+     */
+    _closeResults() {
+        if (this.elements.resultsModal?.classList.contains('hidden')) return;
+        this.elements.resultsModal?.classList.add('hidden');
+        countryRenderer.clearHighlight();
     }
 }
 
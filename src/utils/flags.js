@@ -0,0 +1,124 @@
+/**
+ * Globe Map Quiz - Flag Renderer
+ * Draws the bundled flag SVGs into canvases and globe textures, keyed by ISO code
+ */
+
+import { CONFIG } from '../core/config.js';
+import { state } from '../core/state.js';
+
+class FlagRenderer {
+    constructor() {
+        this.images = new Map();   // iso -> Promise<HTMLImageElement>
+        this.canvases = new Map(); // `${iso}:${width}:${pixelRatio}` -> Promise<HTMLCanvasElement>
+        this.textures = new Map(); // iso -> Promise<THREE.CanvasTexture>
+        this.signatures = new Map(); // iso -> Promise<Uint8ClampedArray>
+    }
+
+    /**
+     * Load a flag SVG
+     * @param {string} iso - ISO alpha-2 code
+     * @returns {Promise<HTMLImageElement>}
+     */
+    loadImage(iso) {
+        const key = iso.toLowerCase();
+        if (!this.images.has(key)) {
+            const promise = new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error(`No flag for ${iso}`));
+                img.src = `${CONFIG.flags.path}${key}.svg`;
+            });
+
+            // Allow a retry after a failed load
+            promise.catch(() => this.images.delete(key));
+            this.images.set(key, promise);
+        }
+        return this.images.get(key);
+    }
+
+    /**
+     * Render a flag into a canvas
+     * @param {string} iso - ISO alpha-2 code
+     * @param {string|number} size - flagSize preset ('small'|'medium'|'large') or CSS width in px
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    getCanvas(iso, size = state.get('ui.flagSize')) {
+        const width = typeof size === 'number' ? size :
+            CONFIG.flags.sizes[size] || CONFIG.flags.sizes.medium;
+        return this._render(iso, width, window.devicePixelRatio || 1);
+    }
+
+    /**
+     * Flag texture for use on the globe, shared between callers
+     * @returns {Promise<THREE.CanvasTexture>}
+     */
+    getTexture(iso) {
+        const key = iso.toLowerCase();
+        if (!this.textures.has(key)) {
+            const promise = this._render(iso, CONFIG.flags.textureWidth, 1).then(canvas => {
+                const texture = new THREE.CanvasTexture(canvas);
+                texture.encoding = THREE.sRGBEncoding;
+                texture.anisotropy = 4;
+                return texture;
+            });
+
+            promise.catch(() => this.textures.delete(key));
+            this.textures.set(key, promise);
+        }
+        return this.textures.get(key);
+    }
+
+    /**
+     * Coarse colour thumbnail of a flag, for finding similar-looking flags
+     * @returns {Promise<Uint8ClampedArray>} RGBA pixels, row by row
+     */
+    getSignature(iso) {
+        const key = iso.toLowerCase();
+        if (!this.signatures.has(key)) {
+            const promise = this._render(iso, CONFIG.flags.signatureWidth, 1).then(canvas =>
+                canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data
+            );
+
+            promise.catch(() => this.signatures.delete(key));
+            this.signatures.set(key, promise);
+        }
+        return this.signatures.get(key);
+    }
+
+    /**
+     * Draw a flag at a pixel width, keeping its aspect ratio
+     */
+    _render(iso, width, pixelRatio) {
+        const key = `${iso.toLowerCase()}:${width}:${pixelRatio}`;
+        if (!this.canvases.has(key)) {
+            const promise = this.loadImage(iso).then(img => {
+                const aspect = img.naturalHeight && img.naturalWidth
+                    ? img.naturalHeight / img.naturalWidth
+                    : 3 / 4;
+
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(width * pixelRatio);
+                canvas.height = Math.round(width * aspect * pixelRatio);
+                canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                return canvas;
+            });
+
+            promise.catch(() => this.canvases.delete(key));
+            this.canvases.set(key, promise);
+        }
+        return this.canvases.get(key);
+    }
+
+    /**
+     * Release cached canvases and textures
+     */
+    clear() {
+        this.textures.forEach(promise => promise.then(texture => texture.dispose(), () => {}));
+        this.textures.clear();
+        this.canvases.clear();
+    }
+}
+
+// Singleton instance
+export const flags = new FlagRenderer();
+export default flags;
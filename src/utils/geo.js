@@ -0,0 +1,440 @@
+/**
+ * Globe Map Quiz - Geo Helpers
+ * Spherical geometry on plain lat/lon numbers (degrees)
+ */
+
+export const EARTH_RADIUS_KM = 6371;
+
+const DEG = Math.PI / 180;
+
+/**
+ * Lat/lon to unit vector [x, y, z]
+ */
+export function toVector(lat, lon) {
+    const cosLat = Math.cos(lat * DEG);
+    return [
+        cosLat * Math.cos(lon * DEG),
+        cosLat * Math.sin(lon * DEG),
+        Math.sin(lat * DEG)
+    ];
+}
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+const cross = (a, b) => [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0]
+];
+
+/**
+ * Angle between two unit vectors in radians
+ */
+function angleBetween(a, b) {
+    return Math.atan2(Math.hypot(...cross(a, b)), dot(a, b));
+}
+
+/**
+ * Great-circle distance between two points in radians
+ */
+export function angularDistance(lat1, lon1, lat2, lon2) {
+    const dLat = (lat2 - lat1) * DEG;
+    const dLon = (lon2 - lon1) * DEG;
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(lat1 * DEG) * Math.cos(lat2 * DEG) * Math.sin(dLon / 2) ** 2;
+    return 2 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Great-circle distance between two points in km
+ */
+export function distanceKm(lat1, lon1, lat2, lon2) {
+    return angularDistance(lat1, lon1, lat2, lon2) * EARTH_RADIUS_KM;
+}
+
+/**
+ * Point halfway along the great circle between two locations
+ */
+export function midpoint(lat1, lon1, lat2, lon2) {
+    const a = toVector(lat1, lon1);
+    const b = toVector(lat2, lon2);
+    const m = [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+    const length = Math.hypot(...m);
+    if (length < 1e-12) return { lat: lat1, lon: lon1 }; // Antipodal: any midpoint will do
+
+    return {
+        lat: Math.asin(m[2] / length) / DEG,
+        lon: Math.atan2(m[1], m[0]) / DEG
+    };
+}
+
+/**
+ * Average position of several { lat, lon } points
+ */
+export function meanPoint(points) {
+    const sum = [0, 0, 0];
+    points.forEach(({ lat, lon }) => {
+        toVector(lat, lon).forEach((value, i) => { sum[i] += value; });
+    });
+    const length = Math.hypot(...sum);
+    if (length < 1e-12) return points[0]; // Cancelled out: any point will do
+
+    return {
+        lat: Math.asin(sum[2] / length) / DEG,
+        lon: Math.atan2(sum[1], sum[0]) / DEG
+    };
+}
+
+/**
+ * Distance for display, e.g. "1,240 km"
+ */
+export function formatKm(km) {
+    return `${Math.round(km).toLocaleString('en-US')} km`;
+}
+
+/**
+ * Iterate every ring of a GeoJSON Polygon/MultiPolygon
+ */
+export function forEachRing(geometry, callback) {
+    if (geometry.type === 'Polygon') {
+        geometry.coordinates.forEach(ring => callback(ring));
+    } else if (geometry.type === 'MultiPolygon') {
+        geometry.coordinates.forEach(polygon => polygon.forEach(ring => callback(ring)));
+    }
+}
+
+/**
+ * Make longitudes continuous along a ring so edges never jump 360°.
+ * A ring around a pole ends up 360° from where it started.
+ */
+export function unwrapRing(ring) {
+    let prevLon = ring[0][0];
+    return ring.map(([lon, lat]) => {
+        while (lon - prevLon > 180) lon -= 360;
+        while (lon - prevLon < -180) lon += 360;
+        prevLon = lon;
+        return [lon, lat];
+    });
+}
+
+/**
+ * Whether an unwrapped ring winds once around a pole
+ */
+function enclosesPole(unwrapped) {
+    return Math.abs(unwrapped[unwrapped.length - 1][0] - unwrapped[0][0]) > 180;
+}
+
+/**
+ * Unwrap a ring and, if it circles a pole, close it along that pole
+ * so it becomes an ordinary polygon in lon/lat space
+ */
+export function closeRing(ring) {
+    const unwrapped = unwrapRing(ring);
+    if (!enclosesPole(unwrapped)) return unwrapped;
+
+    const meanLat = unwrapped.reduce((sum, [, lat]) => sum + lat, 0) / unwrapped.length;
+    const pole = meanLat < 0 ? -90 : 90;
+    const first = unwrapped[0];
+    const last = unwrapped[unwrapped.length - 1];
+
+    return [...unwrapped, [last[0], pole], [first[0], pole], first];
+}
+
+/**
+ * Clip a lon/lat ring to minLon <= lon <= maxLon (Sutherland-Hodgman)
+ */
+function clipRing(ring, minLon, maxLon) {
+    const clipEdge = (points, inside, edgeLon) => {
+        const result = [];
+        points.forEach((current, i) => {
+            const previous = points[(i + points.length - 1) % points.length];
+            const crossing = () => {
+                const t = (edgeLon - previous[0]) / (current[0] - previous[0]);
+                return [edgeLon, previous[1] + t * (current[1] - previous[1])];
+            };
+
+            if (inside(current)) {
+                if (!inside(previous)) result.push(crossing());
+                result.push(current);
+            } else if (inside(previous)) {
+                result.push(crossing());
+            }
+        });
+        return result;
+    };
+
+    const left = clipEdge(ring, p => p[0] >= minLon, minLon);
+    return left.length ? clipEdge(left, p => p[0] <= maxLon, maxLon) : left;
+}
+
+/**
+ * Split a ring into pieces that each lie within -180..180,
+ * closing rings that circle a pole along the pole first
+ * @returns {Array<Array<[number, number]>>}
+ */
+export function splitRing(ring) {
+    if (ring.length < 3) return [];
+
+    const closed = closeRing(ring);
+    const lons = closed.map(([lon]) => lon);
+    const first = Math.floor((Math.min(...lons) + 180) / 360);
+    const last = Math.floor((Math.max(...lons) + 180) / 360 - 1e-9);
+
+    const pieces = [];
+    for (let k = first; k <= last; k++) {
+        const shift = k * 360;
+        const piece = clipRing(closed, shift - 180, shift + 180);
+        if (piece.length >= 3) {
+            pieces.push(piece.map(([lon, lat]) => [lon - shift, lat]));
+        }
+    }
+    return pieces;
+}
+
+/**
+ * Lat/lon bounding box of a geometry. Longitudes span the smallest arc
+ * covering every vertex, so maxLon may exceed 180 for geometries crossing
+ * the antimeridian; geometries around a pole span the full 360°.
+ */
+export function geometryBounds(geometry) {
+    let minLat = 90, maxLat = -90;
+    let aroundPole = false;
+    const lons = [];
+
+    forEachRing(geometry, ring => {
+        if (ring.length === 0) return;
+        ring.forEach(([lon, lat]) => {
+            minLat = Math.min(minLat, lat);
+            maxLat = Math.max(maxLat, lat);
+            lons.push(((lon + 180) % 360 + 360) % 360 - 180);
+        });
+
+        const closed = closeRing(ring);
+        if (closed.length > ring.length) {
+            aroundPole = true;
+            const pole = closed[closed.length - 2][1];
+            minLat = Math.min(minLat, pole);
+            maxLat = Math.max(maxLat, pole);
+        }
+    });
+
+    if (lons.length === 0) return { minLat: 0, maxLat: 0, minLon: 0, maxLon: 0 };
+    if (aroundPole) return { minLat, maxLat, minLon: -180, maxLon: 180 };
+
+    // The box is the complement of the widest gap between vertex longitudes
+    lons.sort((a, b) => a - b);
+    let gap = lons[0] + 360 - lons[lons.length - 1];
+    let minLon = lons[0];
+    for (let i = 1; i < lons.length; i++) {
+        if (lons[i] - lons[i - 1] > gap) {
+            gap = lons[i] - lons[i - 1];
+            minLon = lons[i];
+        }
+    }
+
+    return { minLat, maxLat, minLon, maxLon: minLon + 360 - gap };
+}
+
+/**
+ * Whether a bounding box overlaps a longitude range, allowing for wrap-around
+ */
+export function boundsOverlapLon(bounds, minLon, maxLon) {
+    return [-360, 0, 360].some(shift =>
+        bounds.minLon + shift <= maxLon && bounds.maxLon + shift >= minLon
+    );
+}
+
+/**
+ * Iterate every polygon (array of rings) of a GeoJSON Polygon/MultiPolygon
+ */
+export function forEachPolygon(geometry, callback) {
+    if (geometry.type === 'Polygon') {
+        callback(geometry.coordinates);
+    } else if (geometry.type === 'MultiPolygon') {
+        geometry.coordinates.forEach(polygon => callback(polygon));
+    }
+}
+
+/**
+ * Signed area (steradians) and area-weighted centre direction of a ring,
+ * summed over a fan of spherical triangles from a reference point
+ */
+function ringMoments(ring, origin) {
+    let area = 0;
+    const moment = [0, 0, 0];
+
+    let a = toVector(ring[0][1], ring[0][0]);
+    for (let i = 1; i < ring.length; i++) {
+        const b = toVector(ring[i][1], ring[i][0]);
+
+        // Van Oosterom-Strackee solid angle of triangle (origin, a, b)
+        const det = dot(origin, cross(a, b));
+        const div = 1 + dot(origin, a) + dot(a, b) + dot(b, origin);
+        const e = 2 * Math.atan2(det, div);
+
+        const c = [origin[0] + a[0] + b[0], origin[1] + a[1] + b[1], origin[2] + a[2] + b[2]];
+        const length = Math.hypot(...c) || 1;
+        for (let k = 0; k < 3; k++) moment[k] += e * c[k] / length;
+        area += e;
+        a = b;
+    }
+
+    return { area, moment };
+}
+
+/**
+ * Area (steradians) and area-weighted centre direction of a polygon;
+ * holes are subtracted whatever the ring winding
+ */
+function polygonMoments(rings) {
+    const sum = [0, 0, 0];
+    rings[0].forEach(([lon, lat]) => {
+        const v = toVector(lat, lon);
+        for (let k = 0; k < 3; k++) sum[k] += v[k];
+    });
+    const length = Math.hypot(...sum);
+    const origin = length > 1e-9 ? sum.map(c => c / length) : toVector(rings[0][0][1], rings[0][0][0]);
+
+    let area = 0;
+    const moment = [0, 0, 0];
+    rings.forEach((ring, index) => {
+        if (ring.length < 3) return;
+        const ringResult = ringMoments(ring, origin);
+        const sign = (index === 0 ? 1 : -1) * Math.sign(ringResult.area);
+        area += sign * ringResult.area;
+        for (let k = 0; k < 3; k++) moment[k] += sign * ringResult.moment[k];
+    });
+
+    return { area, moment };
+}
+
+/**
+ * Spherical area of a polygon (array of rings) in km²
+ */
+export function polygonAreaKm2(rings) {
+    return polygonMoments(rings).area * EARTH_RADIUS_KM * EARTH_RADIUS_KM;
+}
+
+/**
+ * Area-weighted centroid of a geometry on the sphere
+ * @returns {{lat: number, lon: number}|null} null for empty geometries
+ */
+export function sphericalCentroid(geometry) {
+    const moment = [0, 0, 0];
+
+    forEachPolygon(geometry, rings => {
+        if (!rings.length || rings[0].length < 3) return;
+        const result = polygonMoments(rings);
+        for (let k = 0; k < 3; k++) moment[k] += result.moment[k];
+    });
+
+    const length = Math.hypot(...moment);
+    if (length < 1e-12) return null;
+
+    return {
+        lat: Math.asin(moment[2] / length) / DEG,
+        lon: Math.atan2(moment[1], moment[0]) / DEG
+    };
+}
+
+/**
+ * Angular radius (degrees) around a centre covering a geometry's main parts.
+ * Parts smaller than `minShare` of the largest part (remote islands,
+ * overseas territories) are left out so framing stays on the mainland.
+ */
+export function angularExtent(geometry, center, minShare = 0.25) {
+    const parts = [];
+    forEachPolygon(geometry, rings => {
+        if (rings.length && rings[0].length >= 3) {
+            parts.push({ rings, area: polygonAreaKm2(rings) });
+        }
+    });
+    if (parts.length === 0) return 0;
+
+    const largest = Math.max(...parts.map(part => part.area));
+    let extent = 0;
+
+    parts.forEach(({ rings, area }) => {
+        if (area < largest * minShare) return;
+        rings[0].forEach(([lon, lat]) => {
+            extent = Math.max(extent, angularDistance(center.lat, center.lon, lat, lon));
+        });
+    });
+
+    return extent / DEG;
+}
+
+/**
+ * Closest point to p on the great-circle arc a-b (all unit vectors)
+ */
+function closestOnArc(p, a, b) {
+    const n = cross(a, b);
+    const nLength = Math.hypot(...n);
+
+    if (nLength >= 1e-12) {
+        const normal = [n[0] / nLength, n[1] / nLength, n[2] / nLength];
+        const offset = dot(p, normal);
+        const projected = [p[0] - offset * normal[0], p[1] - offset * normal[1], p[2] - offset * normal[2]];
+        const length = Math.hypot(...projected);
+
+        if (length > 1e-12 &&
+            dot(cross(a, projected), normal) >= 0 && dot(cross(projected, b), normal) >= 0) {
+            return [projected[0] / length, projected[1] / length, projected[2] / length];
+        }
+    }
+
+    return angleBetween(p, a) <= angleBetween(p, b) ? a : b;
+}
+
+/**
+ * Nearest point on a geometry's outline to a location
+ * @returns {{lat: number, lon: number, km: number}|null}
+ */
+export function nearestPointOnGeometry(lat, lon, geometry) {
+    const p = toVector(lat, lon);
+    let nearest = null;
+    let min = Infinity;
+
+    forEachRing(geometry, ring => {
+        let prev = toVector(ring[0][1], ring[0][0]);
+        for (let i = 1; i < ring.length; i++) {
+            const next = toVector(ring[i][1], ring[i][0]);
+            const q = closestOnArc(p, prev, next);
+            const angle = angleBetween(p, q);
+            if (angle < min) {
+                min = angle;
+                nearest = q;
+            }
+            prev = next;
+        }
+    });
+
+    if (!nearest) return null;
+    return {
+        lat: Math.asin(Math.max(-1, Math.min(1, nearest[2]))) / DEG,
+        lon: Math.atan2(nearest[1], nearest[0]) / DEG,
+        km: min * EARTH_RADIUS_KM
+    };
+}
+
+/**
+ * Shortest great-circle distance from a point to a geometry's outline in km
+ */
+export function distanceToGeometryKm(lat, lon, geometry) {
+    return nearestPointOnGeometry(lat, lon, geometry)?.km ?? Infinity;
+}
+
+/**
+ * Whether a point could be within `km` of a lat/lon bounding box
+ */
+export function isNearBounds(lat, lon, bounds, km) {
+    const margin = km / (EARTH_RADIUS_KM * DEG);
+    if (lat < bounds.minLat - margin || lat > bounds.maxLat + margin) return false;
+
+    // Longitude degrees shrink towards the poles
+    const cosLat = Math.cos(Math.min(89, Math.abs(lat) + margin) * DEG);
+    const lonMargin = margin / cosLat;
+    const wrap = value => ((value - bounds.minLon) % 360 + 360) % 360;
+    return wrap(lon) <= (bounds.maxLon - bounds.minLon) + lonMargin ||
+        wrap(lon) >= 360 - lonMargin;
+}
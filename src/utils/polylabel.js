@@ -0,0 +1,187 @@
+/**
+ * Globe Map Quiz - Label Anchors
+ * Pole of inaccessibility: the interior point farthest from a polygon's edge
+ */
+
+import { closeRing, forEachPolygon, polygonAreaKm2 } from './geo.js';
+
+const DEG = Math.PI / 180;
+
+// Safety cap on refined cells per polygon
+const MAX_CELLS = 20000;
+
+/**
+ * Squared distance from a point to segment a-b
+ */
+function segmentDistanceSq(x, y, a, b) {
+    let [px, py] = a;
+    let dx = b[0] - px;
+    let dy = b[1] - py;
+
+    if (dx !== 0 || dy !== 0) {
+        const t = ((x - px) * dx + (y - py) * dy) / (dx * dx + dy * dy);
+        if (t > 1) {
+            [px, py] = b;
+        } else if (t > 0) {
+            px += dx * t;
+            py += dy * t;
+        }
+    }
+
+    dx = x - px;
+    dy = y - py;
+    return dx * dx + dy * dy;
+}
+
+/**
+ * Signed distance from a point to the polygon outline (negative outside)
+ */
+function signedDistance(x, y, rings) {
+    let inside = false;
+    let minDistSq = Infinity;
+
+    rings.forEach(ring => {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const a = ring[i];
+            const b = ring[j];
+            if ((a[1] > y) !== (b[1] > y) &&
+                x < (b[0] - a[0]) * (y - a[1]) / (b[1] - a[1]) + a[0]) {
+                inside = !inside;
+            }
+            minDistSq = Math.min(minDistSq, segmentDistanceSq(x, y, a, b));
+        }
+    });
+
+    return (inside ? 1 : -1) * Math.sqrt(minDistSq);
+}
+
+function createCell(x, y, h, rings) {
+    const d = signedDistance(x, y, rings);
+    return { x, y, h, d, max: d + h * Math.SQRT2 };
+}
+
+/**
+ * Area centroid of the outer ring in projected space, a good first guess
+ */
+function ringCentroidCell(rings) {
+    const ring = rings[0];
+    let area = 0, x = 0, y = 0;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const a = ring[i];
+        const b = ring[j];
+        const f = a[0] * b[1] - b[0] * a[1];
+        x += (a[0] + b[0]) * f;
+        y += (a[1] + b[1]) * f;
+        area += f * 3;
+    }
+
+    return area === 0 ? ring[0] : [x / area, y / area];
+}
+
+/**
+ * Pole of inaccessibility of planar rings (polylabel)
+ */
+function poleOfInaccessibility(rings, precision) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    rings[0].forEach(([x, y]) => {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+    });
+
+    const width = maxX - minX;
+    const height = maxY - minY;
+    const cellSize = Math.min(width, height);
+    if (cellSize === 0) return [minX, minY];
+
+    // Cover the polygon with square cells
+    const queue = [];
+    const h = cellSize / 2;
+    for (let x = minX; x < maxX; x += cellSize) {
+        for (let y = minY; y < maxY; y += cellSize) {
+            queue.push(createCell(x + h, y + h, h, rings));
+        }
+    }
+
+    const [cx, cy] = ringCentroidCell(rings);
+    let best = createCell(cx, cy, 0, rings);
+    const boxCell = createCell(minX + width / 2, minY + height / 2, 0, rings);
+    if (boxCell.d > best.d) best = boxCell;
+
+    let processed = 0;
+    while (queue.length > 0 && processed < MAX_CELLS) {
+        // Take the most promising cell
+        let index = 0;
+        for (let i = 1; i < queue.length; i++) {
+            if (queue[i].max > queue[index].max) index = i;
+        }
+        const cell = queue[index];
+        queue[index] = queue[queue.length - 1];
+        queue.pop();
+        processed++;
+
+        if (cell.d > best.d) best = cell;
+
+        // Stop refining cells that can't beat the current best
+        if (cell.max - best.d <= precision) continue;
+
+        const half = cell.h / 2;
+        queue.push(
+            createCell(cell.x - half, cell.y - half, half, rings),
+            createCell(cell.x + half, cell.y - half, half, rings),
+            createCell(cell.x - half, cell.y + half, half, rings),
+            createCell(cell.x + half, cell.y + half, half, rings)
+        );
+    }
+
+    return [best.x, best.y];
+}
+
+/**
+ * Label anchor for a geometry: the pole of inaccessibility of its
+ * largest polygon part, so it always lies on land inside the country
+ * @returns {{lat: number, lon: number}|null}
+ */
+export function labelAnchor(geometry) {
+    let largest = null;
+    let largestArea = -Infinity;
+
+    forEachPolygon(geometry, rings => {
+        if (!rings.length || rings[0].length < 3) return;
+        const area = polygonAreaKm2(rings);
+        if (area > largestArea) {
+            largestArea = area;
+            largest = rings;
+        }
+    });
+
+    if (!largest) return null;
+
+    // Work in a local equirectangular projection with continuous longitudes
+    const outer = closeRing(largest[0]);
+    const reference = outer[0][0];
+    const holes = largest.slice(1).map(ring => closeRing(ring).map(([lon, lat]) => {
+        while (lon - reference > 180) lon -= 360;
+        while (lon - reference < -180) lon += 360;
+        return [lon, lat];
+    }));
+
+    const lats = outer.map(([, lat]) => lat);
+    const midLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+    const scale = Math.max(0.1, Math.cos(midLat * DEG));
+
+    const project = ring => ring.map(([lon, lat]) => [lon * scale, lat]);
+    const rings = [outer, ...holes].map(project);
+
+    const span = Math.max(...lats) - Math.min(...lats);
+    const [x, y] = poleOfInaccessibility(rings, Math.max(0.005, span / 200));
+
+    return {
+        lat: y,
+        lon: ((x / scale + 180) % 360 + 360) % 360 - 180
+    };
+}
+
+export default labelAnchor;
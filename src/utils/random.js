@@ -0,0 +1,82 @@
+/**
+ * Globe Map Quiz - Random Helpers
+ * Seeded random sources, shuffling and sampling used by the quiz engine
+ */
+
+/**
+ * Seeded random source (mulberry32) returning [0, 1)
+ * @param {number} seed - 32-bit unsigned integer
+ */
+export function createRng(seed) {
+    let a = seed >>> 0;
+    return function rng() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 32-bit seed from a string (FNV-1a)
+ */
+export function hashSeed(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Fresh seed for a quiz that doesn't need to be repeatable
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Fisher-Yates shuffle (returns a new array)
+ * @param {Array} array - Items to shuffle
+ * @param {Function} rng - Random source returning [0, 1)
+ */
+export function shuffle(array, rng = Math.random) {
+    const arr = [...array];
+    for (let i = arr.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+}
+
+/**
+ * Pick a random element from an array
+ */
+export function pick(array, rng = Math.random) {
+    return array[Math.floor(rng() * array.length)];
+}
+
+/**
+ * Pick up to `count` distinct elements from an array
+ */
+export function sample(array, count, rng = Math.random) {
+    return shuffle(array, rng).slice(0, count);
+}
+
+/**
+ * Pick up to `count` distinct elements, each drawn with probability
+ * proportional to its weight (Efraimidis-Spirakis)
+ * @param {Function} weight - Maps an element to a weight >= 0
+ */
+export function weightedSample(array, count, weight, rng = Math.random) {
+    return array
+        .map(item => {
+            const w = weight(item);
+            return { item, key: w > 0 ? Math.pow(rng(), 1 / w) : -1 };
+        })
+        .sort((a, b) => b.key - a.key)
+        .slice(0, count)
+        .map(({ item }) => item);
+}
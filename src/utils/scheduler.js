@@ -0,0 +1,59 @@
+/**
+ * Globe Map Quiz - Idle Scheduler
+ * Spreads heavy work over idle frames so the main thread stays responsive
+ */
+
+/**
+ * Run a callback when the browser is idle
+ * @param {Function} callback - Receives an IdleDeadline-like object
+ */
+export function whenIdle(callback, timeout = 200) {
+    if (typeof window.requestIdleCallback === 'function') {
+        return window.requestIdleCallback(callback, { timeout });
+    }
+
+    return setTimeout(() => {
+        const start = performance.now();
+        callback({
+            didTimeout: false,
+            timeRemaining: () => Math.max(0, 8 - (performance.now() - start))
+        });
+    }, 16);
+}
+
+/**
+ * Process items in small batches during idle time
+ * @param {Array} items - Work items
+ * @param {Function} fn - Called with (item, index)
+ * @returns {Promise<void>} Resolves once every item is processed
+ */
+export function processInSlices(items, fn) {
+    return new Promise((resolve, reject) => {
+        let index = 0;
+
+        const step = (deadline) => {
+            try {
+                // Always make progress, even if the deadline is already spent
+                do {
+                    fn(items[index], index);
+                    index++;
+                } while (index < items.length && deadline.timeRemaining() > 1);
+            } catch (error) {
+                reject(error);
+                return;
+            }
+
+            if (index < items.length) {
+                whenIdle(step);
+            } else {
+                resolve();
+            }
+        };
+
+        if (items.length === 0) {
+            resolve();
+        } else {
+            whenIdle(step);
+        }
+    });
+}